@@ -1,18 +1,105 @@
-import React, { useState, useCallback, useRef, useEffect } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { cn, createChatMessage, formatTimestamp } from '../../utils/index.js';
-import { createChatState } from '../../types/index.js';
+import { toast } from 'react-hot-toast';
+import { Download, Ear, EarOff, Eraser, Mic, MicOff, Square, Volume2 } from 'lucide-react';
+import { cn, createApplicationError, createChatMessage, createStreamingMessage, formatTimestamp } from '../../utils/index.js';
+import { startNewVersion, selectVersion, discardActiveVersion, getVersionCount } from '../../utils/messageVersions.js';
+import { getRecordingClips } from '../../utils/recordingClips.js';
+import { CONVERSATION_EXPORT_FORMATS, exportConversation } from '../../utils/conversationExport.js';
+import { createChatState, ERROR_TYPES, VOICE_STATES } from '../../types/index.js';
+import errorLogger from '../../utils/errorLogger.js';
 import HolographicInput from '../ui/HolographicInput.jsx';
 import HolographicButton from '../ui/HolographicButton.jsx';
 import MicrophoneButton from '../ui/MicrophoneButton.jsx';
 import StatusIndicator from '../ui/StatusIndicator.jsx';
 import { useElevenLabsWidget } from '../../hooks/useElevenLabsWidget.js';
+import { useSpeechRecognition } from '../../hooks/useSpeechRecognition.js';
+import { useSpeechSynthesis } from '../../hooks/useSpeechSynthesis.js';
+import { useWakeWord } from '../../hooks/useWakeWord.js';
+import { useMicrophoneLevel, useVoiceActivity } from '../../hooks/useVoiceActivity.js';
+import { usePushToTalk } from '../../hooks/usePushToTalk.js';
+import { useRecordingStartedAt, useSessionRecordings, useVoiceRecorder } from '../../hooks/useVoiceRecorder.js';
+import { useSlashCommands } from '../../hooks/useSlashCommands.js';
+import { usePaletteActions } from '../../hooks/useCommandPalette.js';
+import { useShortcut, useShortcuts } from '../../hooks/useShortcuts.js';
+import { useTool } from '../../hooks/useTools.js';
+import voiceSession from '../../services/voice/voiceSession.js';
+import voiceRecorder from '../../services/voice/voiceRecorder.js';
+import { exportRecordingClip, getClipExportFormat } from '../../services/voice/recordingExport.js';
+import speechQueue from '../../services/tts/speechQueue.js';
+import { formatKeys } from '../../services/shortcuts.js';
 import { useError } from '../../contexts/ErrorContext.jsx';
+import { useConversations } from '../../contexts/ConversationContext.jsx';
+import { useSettings } from '../../contexts/SettingsContext.jsx';
+import { getChatProvider, toProviderMessages, toToolCallMessages, withRetry } from '../../services/chat/index.js';
+import { getToolDefinitions, runTool } from '../../services/tools/index.js';
+import {
+  createCommandError,
+  findSlashCommand,
+  getCommandUsage,
+  getSlashSuggestions,
+  parseSlashInput,
+  runSlashCommand
+} from '../../services/commands/index.js';
+import { deriveSessionTitle } from '../../services/conversationStore.js';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus.js';
 import ElevenLabsWidget from '../voice/ElevenLabsWidget.jsx';
+import MarkdownMessage from './MarkdownMessage.jsx';
+import MessageActions from './MessageActions.jsx';
+import RecordingPlayer from './RecordingPlayer.jsx';
+import SlashCommandMenu from './SlashCommandMenu.jsx';
+import ToolCallCard from './ToolCallCard.jsx';
+import ToolConfirmDialog from './ToolConfirmDialog.jsx';
 
-const Message = ({ message, isLast }) => {
+const Message = ({
+  message,
+  isLast,
+  renderUserMarkdown = false,
+  isBusy = false,
+  onCopy,
+  onEdit,
+  onRegenerate,
+  onDelete,
+  onSelectVersion,
+  onRetry,
+  isSpeaking = false,
+  onSpeak,
+  recordingClip,
+  onExportRecording
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.content);
+  const { settings } = useSettings();
   const isUser = message.sender === 'user';
-  
+  const isStreaming = message.status === 'streaming';
+  const isRetrying = message.status === 'retrying';
+  const isVoice = message.type === 'voice';
+  const useMarkdown = !isUser || renderUserMarkdown;
+  const versionCount = getVersionCount(message);
+  const versionIndex = message.versionIndex ?? 0;
+
+  const startEditing = () => {
+    setDraft(message.content);
+    setIsEditing(true);
+  };
+
+  const submitEdit = () => {
+    setIsEditing(false);
+    if (draft.trim()) {
+      onEdit?.(message.id, draft);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitEdit();
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20, scale: 0.9 }}
@@ -24,46 +111,236 @@ const Message = ({ message, isLast }) => {
         isUser ? 'justify-end' : 'justify-start'
       )}
     >
-      <div
-        className={cn(
-          'max-w-[80%] p-2 rounded-lg backdrop-blur-sm',
-          isUser ? 'message-user' : 'message-assistant'
-        )}
+      <MessageActions
+        message={message}
+        isUser={isUser}
+        className="max-w-[80%]"
+        canEdit={isUser && !isBusy && !isEditing}
+        canRegenerate={!isUser && !isVoice && isLast && !isBusy}
+        canDelete={!isStreaming}
+        recordingFormat={recordingClip && getClipExportFormat(recordingClip)}
+        onCopy={onCopy}
+        onEdit={startEditing}
+        onRegenerate={onRegenerate}
+        onDelete={onDelete}
+        onExportRecording={(format) => onExportRecording?.(recordingClip, format)}
       >
-        <p className="text-xs leading-relaxed">{message.content}</p>
-        <div className="flex items-center justify-between mt-1">
-          <span className="text-xs opacity-70">
-            {formatTimestamp(message.timestamp)}
-          </span>
-          {message.status && (
-            <span className={cn(
-              'text-xs px-1 py-0.5 rounded',
-              message.status === 'sending' && 'bg-yellow-500/20 text-yellow-400',
-              message.status === 'sent' && 'bg-green-500/20 text-green-400',
-              message.status === 'error' && 'bg-red-500/20 text-red-400'
-            )}>
-              {message.status}
-            </span>
+        <div
+          className={cn(
+            'p-2 rounded-lg backdrop-blur-sm',
+            isUser ? 'message-user' : 'message-assistant'
           )}
+        >
+          {/* Tools the reply used, in the order they ran */}
+          {!isUser && message.toolCalls?.length > 0 && (
+            <div className="mb-1 space-y-1">
+              {message.toolCalls.map(call => (
+                <ToolCallCard key={`${call.round}-${call.id}`} call={call} />
+              ))}
+            </div>
+          )}
+          {isEditing ? (
+            <div className="space-y-1">
+              <textarea
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                rows={Math.min(6, draft.split('\n').length + 1)}
+                aria-label="Edit message"
+                className="w-full min-w-[200px] resize-none rounded bg-black/40 border border-jarvis-blue/40 p-1 text-xs text-jarvis-cyan focus:outline-none focus:border-jarvis-cyan/70"
+              />
+              <div className="flex justify-end gap-1 text-xs font-rajdhani">
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(false)}
+                  className="px-2 py-0.5 rounded border border-jarvis-blue/30 text-jarvis-blue/80 hover:bg-jarvis-blue/10"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={submitEdit}
+                  disabled={!draft.trim()}
+                  className="px-2 py-0.5 rounded border border-jarvis-cyan/50 text-jarvis-cyan bg-jarvis-blue/20 hover:bg-jarvis-blue/30 disabled:opacity-50"
+                >
+                  Save & send
+                </button>
+              </div>
+            </div>
+          ) : isRetrying ? (
+            <p className="text-xs leading-relaxed text-yellow-300/90 animate-pulse">
+              Connection problem, retrying{message.retryAttempt ? ` (attempt ${message.retryAttempt + 1})` : ''}...
+            </p>
+          ) : isStreaming && !message.content ? (
+            <div className="loading-dots" aria-label="JARVIS is thinking">
+              <div className="loading-dot bg-jarvis-cyan" />
+              <div className="loading-dot bg-jarvis-cyan" />
+              <div className="loading-dot bg-jarvis-cyan" />
+            </div>
+          ) : useMarkdown ? (
+            <>
+              <MarkdownMessage content={message.content} />
+              {isStreaming && (
+                <span className="inline-block w-1.5 h-3 align-middle bg-jarvis-cyan animate-pulse" aria-hidden="true" />
+              )}
+            </>
+          ) : (
+            <p className="text-xs leading-relaxed whitespace-pre-wrap">
+              {message.content}
+              {isStreaming && (
+                <span className="inline-block w-1.5 h-3 ml-0.5 align-middle bg-jarvis-cyan animate-pulse" aria-hidden="true" />
+              )}
+            </p>
+          )}
+          <div className="flex items-center justify-between gap-2 mt-1">
+            <span className="flex items-center gap-1 text-xs opacity-70">
+              {isVoice && <Mic className="w-3 h-3" aria-label="Spoken" />}
+              {formatTimestamp(message.timestamp, settings.timestampFormat)}
+              {recordingClip && <RecordingPlayer clip={recordingClip} />}
+            </span>
+
+            {/* Read this reply aloud, or stop it */}
+            {!isUser && onSpeak && message.content && !isStreaming && !isRetrying && (
+              <button
+                type="button"
+                onClick={() => onSpeak(message)}
+                aria-label={isSpeaking ? 'Stop reading aloud' : 'Read aloud'}
+                title={isSpeaking ? 'Stop reading aloud' : 'Read aloud'}
+                className={cn('p-0.5 rounded hover:text-jarvis-cyan', isSpeaking ? 'text-orange-400 animate-pulse' : 'text-jarvis-blue/70')}
+              >
+                {isSpeaking ? <Square className="w-3 h-3" /> : <Volume2 className="w-3 h-3" />}
+              </button>
+            )}
+
+            {/* Alternate reply versions */}
+            {versionCount > 1 && (
+              <div className="flex items-center gap-1 text-xs text-jarvis-blue/80 font-rajdhani">
+                <button
+                  type="button"
+                  onClick={() => onSelectVersion?.(message.id, versionIndex - 1)}
+                  disabled={isStreaming || versionIndex === 0}
+                  aria-label="Previous version"
+                  className="px-1 hover:text-jarvis-cyan disabled:opacity-30"
+                >
+                  ‹
+                </button>
+                <span>{versionIndex + 1}/{versionCount}</span>
+                <button
+                  type="button"
+                  onClick={() => onSelectVersion?.(message.id, versionIndex + 1)}
+                  disabled={isStreaming || versionIndex === versionCount - 1}
+                  aria-label="Next version"
+                  className="px-1 hover:text-jarvis-cyan disabled:opacity-30"
+                >
+                  ›
+                </button>
+              </div>
+            )}
+
+            {/* Manual retry for replies that failed after automatic retries */}
+            {message.status === 'error' && !isUser && onRetry && (
+              <button
+                type="button"
+                onClick={() => onRetry(message)}
+                disabled={isBusy}
+                className="text-xs px-1 py-0.5 rounded border border-red-400/40 text-red-300 hover:bg-red-500/20 disabled:opacity-50 font-rajdhani"
+              >
+                Retry
+              </button>
+            )}
+
+            {message.status && (
+              <span className={cn(
+                'text-xs px-1 py-0.5 rounded',
+                message.status === 'sending' && 'bg-yellow-500/20 text-yellow-400',
+                message.status === 'queued' && 'bg-yellow-500/20 text-yellow-400',
+                message.status === 'retrying' && 'bg-yellow-500/20 text-yellow-400',
+                message.status === 'streaming' && 'bg-blue-500/20 text-blue-400',
+                message.status === 'sent' && 'bg-green-500/20 text-green-400',
+                message.status === 'cancelled' && 'bg-gray-500/20 text-gray-400',
+                message.status === 'error' && 'bg-red-500/20 text-red-400'
+              )}>
+                {message.status}
+              </span>
+            )}
+          </div>
         </div>
-      </div>
+      </MessageActions>
     </motion.div>
   );
 };
 
-const MessageList = ({ messages, isLoading, className }) => {
+// Distance from the bottom (px) within which the list stays pinned to new content
+const SCROLL_PIN_THRESHOLD = 48;
+
+const MessageList = ({
+  messages,
+  isLoading,
+  renderUserMarkdown,
+  className,
+  onCopyMessage,
+  onEditMessage,
+  onRegenerateMessage,
+  onDeleteMessage,
+  onSelectVersion,
+  onRetryMessage,
+  speakingMessageId,
+  onSpeakMessage,
+  recordings = [],
+  onExportRecording
+}) => {
+  const containerRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const isPinnedRef = useRef(true);
+  const [showJumpToLatest, setShowJumpToLatest] = useState(false);
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+  const lastMessage = messages[messages.length - 1];
+  const isStreaming = ['streaming', 'retrying'].includes(lastMessage?.status);
+  const recordingClips = useMemo(() => getRecordingClips(messages, recordings), [messages, recordings]);
+
+  const scrollToBottom = useCallback((behavior = 'smooth') => {
+    messagesEndRef.current?.scrollIntoView({ behavior, block: 'end' });
+  }, []);
+
+  // Track whether the user has scrolled away from the latest message
+  const handleScroll = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    isPinnedRef.current = distanceFromBottom <= SCROLL_PIN_THRESHOLD;
+    if (isPinnedRef.current) {
+      setShowJumpToLatest(false);
+    }
+  }, []);
 
+  // Follow new content only while pinned; streamed chunks scroll instantly to avoid jitter
   useEffect(() => {
+    // Sending a message always brings the conversation back into view
+    if (lastMessage?.sender === 'user') {
+      isPinnedRef.current = true;
+    }
+
+    if (isPinnedRef.current) {
+      scrollToBottom(isStreaming ? 'auto' : 'smooth');
+    } else {
+      setShowJumpToLatest(true);
+    }
+  }, [messages, lastMessage, isLoading, isStreaming, scrollToBottom]);
+
+  const handleJumpToLatest = () => {
+    isPinnedRef.current = true;
+    setShowJumpToLatest(false);
     scrollToBottom();
-  }, [messages]);
+  };
 
   return (
-    <div className={cn('flex-1 overflow-y-auto space-y-2 p-1', className)}>
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      className={cn('flex-1 overflow-y-auto space-y-2 p-1', className)}
+    >
       <AnimatePresence>
         {messages.length === 0 ? (
           <motion.div
@@ -86,12 +363,24 @@ const MessageList = ({ messages, isLoading, className }) => {
               key={message.id}
               message={message}
               isLast={index === messages.length - 1}
+              renderUserMarkdown={renderUserMarkdown}
+              isBusy={isLoading}
+              onCopy={onCopyMessage}
+              onEdit={onEditMessage}
+              onRegenerate={onRegenerateMessage}
+              onDelete={onDeleteMessage}
+              onSelectVersion={onSelectVersion}
+              onRetry={onRetryMessage}
+              isSpeaking={message.id === speakingMessageId}
+              onSpeak={onSpeakMessage}
+              recordingClip={recordingClips.get(message.id)}
+              onExportRecording={onExportRecording}
             />
           ))
         )}
       </AnimatePresence>
       
-      {isLoading && (
+      {isLoading && !isStreaming && (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -109,98 +398,676 @@ const MessageList = ({ messages, isLoading, className }) => {
       )}
       
       <div ref={messagesEndRef} />
+
+      {/* Jump back to the live reply after scrolling up */}
+      <AnimatePresence>
+        {showJumpToLatest && (
+          <motion.button
+            type="button"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            onClick={handleJumpToLatest}
+            className="sticky bottom-1 left-1/2 -translate-x-1/2 px-2 py-0.5 rounded-full text-xs font-rajdhani bg-jarvis-blue/20 border border-jarvis-blue/40 text-jarvis-cyan backdrop-blur-sm"
+          >
+            {isStreaming ? 'JARVIS is replying ↓' : 'New messages ↓'}
+          </motion.button>
+        )}
+      </AnimatePresence>
     </div>
   );
 };
 
+// The live level re-renders many times a second, so only these leaf components subscribe to it
+const LevelMicrophoneButton = (props) => {
+  const level = useMicrophoneLevel();
+  return <MicrophoneButton {...props} level={level} />;
+};
+
+const VoiceOrb = ({ isListening, isSpeaking }) => {
+  const level = useMicrophoneLevel();
+  const isMetered = isListening && level !== null;
+
+  return (
+    <motion.div
+      className="relative w-8 h-8 rounded-full bg-gradient-to-br from-jarvis-blue/80 to-jarvis-cyan/80 flex items-center justify-center border-2 border-jarvis-blue/50"
+      animate={isMetered ? { scale: 1 + level * 0.3 } : isListening || isSpeaking ? { scale: [1, 1.1, 1] } : { scale: 1 }}
+      transition={isMetered
+        ? { duration: 0.08, ease: 'linear' }
+        : { duration: isSpeaking ? 0.6 : 1, repeat: isListening || isSpeaking ? Infinity : 0 }}
+    >
+      <div className="w-4 h-4 rounded-full bg-white/90 animate-pulse" />
+      {/* Holographic rings */}
+      <div className="absolute inset-0 rounded-full border border-jarvis-blue/30 animate-spin-slow" />
+      <div className="absolute inset-1 rounded-full border border-jarvis-cyan/20 animate-spin-slow" style={{ animationDirection: 'reverse' }} />
+    </motion.div>
+  );
+};
+
+// Header badge shown while the microphone is being recorded; clicking it turns recording off
+const RecordingIndicator = ({ onStop }) => {
+  const startedAt = useRecordingStartedAt();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!startedAt) return;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [startedAt]);
+
+  if (!startedAt) return null;
+
+  const elapsed = Math.max(0, Math.floor((now - startedAt.getTime()) / 1000));
+  const duration = `${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`;
+
+  return (
+    <button
+      type="button"
+      onClick={onStop}
+      title="Recording this voice session - click to stop recording"
+      aria-label={`Recording, ${duration}. Stop recording`}
+      className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded-full border border-red-500/60 bg-red-500/15 text-xs text-red-300 font-rajdhani uppercase tracking-wider shadow-[0_0_10px_rgba(239,68,68,0.5)]"
+    >
+      <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" aria-hidden="true" />
+      Rec {duration}
+    </button>
+  );
+};
+
+// Rounds of tool calls per reply before the model has to answer in text
+const MAX_TOOL_ROUNDS = 5;
+
 const ChatWindow = ({
   className,
-  onVoiceStateChange
+  onVoiceStateChange,
+  onToggleDebugPanel,
+  renderUserMarkdown = false
 }) => {
   const [chatState, setChatState] = useState(createChatState());
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const inputRef = useRef(null);
   const chatWindowRef = useRef(null);
-  const { handleError } = useError();
+  const messagesRef = useRef(chatState.messages);
+  const abortControllerRef = useRef(null);
+  const loadedSessionIdRef = useRef(null);
+  const liveTranscriptIdsRef = useRef({});
+  const sendMessageRef = useRef(null);
+  const { handleError, addError } = useError();
+  const { activeSession, saveMessages, startNewSession } = useConversations();
+  const isOnline = useOnlineStatus();
+  const { settings, agentId, updateSettings } = useSettings();
 
   // ElevenLabs widget integration
   const {
     isConnected,
     isInCall,
-    isListening,
-    isSpeaking,
+    isListening: isWidgetListening,
+    isSpeaking: isAgentSpeaking,
     error: widgetError,
     widgetStatus,
-    toggleVoiceInput,
-    handleStatusChange,
-    handleConversationStart,
-    handleConversationEnd,
-    handleWidgetError
+    startVoiceInput: startWidgetVoice,
+    stopVoiceInput: stopWidgetVoice,
+    toggleVoiceInput: toggleWidgetVoice,
+    setMuted: setWidgetMuted
   } = useElevenLabsWidget();
 
-  // Update chat state based on widget state
+  const handleRecognitionError = useCallback(({ type, code, message }) => {
+    errorLogger.logVoiceError({ name: code, message }, 'Speech Recognition');
+    addError(createApplicationError(type, message, 'Browser speech recognition', type !== ERROR_TYPES.MICROPHONE_ACCESS_DENIED));
+  }, [addError]);
+
+  // Browser speech recognition takes over voice input when the widget fails to load
+  const speech = useSpeechRecognition({
+    lang: settings.speechLanguage,
+    continuous: settings.continuousListening,
+    onResult: (text) => sendMessageRef.current?.(text, 'voice'),
+    onError: handleRecognitionError
+  });
+  // No agent configured means no widget at all; browser speech handles voice input from the start
+  const hasVoiceWidget = Boolean(agentId);
+  const isBrowserVoice = (!hasVoiceWidget || widgetStatus === VOICE_STATES.ERROR) && speech.isSupported;
+  const isListening = isBrowserVoice ? speech.isListening : isWidgetListening;
+  const isVoiceActive = isBrowserVoice ? speech.isListening : isInCall;
+  const startVoiceInput = isBrowserVoice ? speech.startListening : startWidgetVoice;
+  const stopVoiceInput = isBrowserVoice ? speech.stopListening : stopWidgetVoice;
+  const toggleVoiceInput = isBrowserVoice ? speech.toggleListening : toggleWidgetVoice;
+
+  // Say once why the widget is missing; the toast id keeps it from stacking
+  useEffect(() => {
+    if (settings.voiceEnabled && !hasVoiceWidget) {
+      toast('No ElevenLabs agent ID is configured, so the voice widget is off. Add one under Settings → Assistant.', {
+        id: 'missing-agent-id',
+        icon: '⚠️'
+      });
+    }
+  }, [settings.voiceEnabled, hasVoiceWidget]);
+
+  // Spoken replies share the speaking state with the voice agent
+  const {
+    isSupported: isTtsSupported,
+    isSpeaking: isReadingAloud,
+    speakingId,
+    speak,
+    replay,
+    cancel: cancelSpeech
+  } = useSpeechSynthesis();
+  const isSpeaking = isAgentSpeaking || isReadingAloud;
+
+  // Barge-in: stop reading replies as soon as the user starts talking
+  useEffect(() => {
+    if (isListening) {
+      cancelSpeech();
+    }
+  }, [isListening, cancelSpeech]);
+
+  useEffect(() => {
+    return speechQueue.onError((error) => handleError(error, 'Reading reply aloud'));
+  }, [handleError]);
+
+  // Push-to-talk: a hold opens the microphone and letting go ends the turn. Widget calls are
+  // muted rather than hung up so JARVIS can still answer.
+  const isPushToTalk = settings.voiceEnabled && settings.talkMode === 'push';
+  const muteWidget = useCallback(() => setWidgetMuted(true), [setWidgetMuted]);
+  const endPushToTalkTurn = isBrowserVoice ? speech.stopListening : muteWidget;
+
+  const { isHolding, press: pressToTalk, release: releaseToTalk } = usePushToTalk({
+    enabled: isPushToTalk,
+    onStart: startVoiceInput,
+    onEnd: endPushToTalkTurn
+  });
+
+  // Meter the microphone while voice input is on and end the turn after a stretch of silence;
+  // the clock holds while JARVIS is talking
+  const handleSilence = useCallback(() => {
+    errorLogger.debug('Stopping voice input after silence', { silenceTimeout: settings.silenceTimeout }, 'Voice Activity');
+    stopVoiceInput();
+  }, [stopVoiceInput, settings.silenceTimeout]);
+
+  const { isSpeechDetected } = useVoiceActivity({
+    enabled: isVoiceActive,
+    paused: isSpeaking,
+    silenceTimeout: settings.silenceTimeout,
+    onSilence: handleSilence
+  });
+
+  // Hands-free: the wake phrase opens a voice turn, or sends whatever was said right after it
+  const [isAwake, setIsAwake] = useState(false);
+  const hasAwakeTurnStartedRef = useRef(false);
+
+  const handleWake = useCallback((command) => {
+    cancelSpeech();
+    if (command) {
+      sendMessageRef.current?.(command, 'voice');
+      return;
+    }
+    hasAwakeTurnStartedRef.current = false;
+    setIsAwake(Boolean(startVoiceInput()));
+  }, [cancelSpeech, startVoiceInput]);
+
+  // A listener that can't reach the microphone turns hands-free off rather than failing silently
+  const handleWakeWordError = useCallback((error) => {
+    handleRecognitionError(error);
+    updateSettings({ handsFree: false });
+  }, [handleRecognitionError, updateSettings]);
+
+  const isHandsFree = settings.voiceEnabled && settings.handsFree;
+  const { isSupported: isWakeWordSupported, isArmed } = useWakeWord({
+    enabled: isHandsFree,
+    paused: isAwake || isVoiceActive,
+    phrase: settings.wakePhrase,
+    lang: settings.speechLanguage,
+    onWake: handleWake,
+    onError: handleWakeWordError
+  });
+
+  // The awake turn is over once the voice input it started has finished
+  useEffect(() => {
+    if (!isAwake) return;
+    if (isVoiceActive) {
+      hasAwakeTurnStartedRef.current = true;
+    } else if (hasAwakeTurnStartedRef.current) {
+      setIsAwake(false);
+    }
+  }, [isAwake, isVoiceActive]);
+
+  // Back to waiting for the wake phrase if nothing is said in time; any activity restarts the clock
+  const activityCount = chatState.messages.length;
+  useEffect(() => {
+    if (!isAwake || isSpeaking) return;
+
+    const timeoutId = setTimeout(() => {
+      stopVoiceInput();
+      setIsAwake(false);
+    }, settings.wakeTimeout * 1000);
+    return () => clearTimeout(timeoutId);
+  }, [isAwake, isSpeaking, isSpeechDetected, speech.interimTranscript, activityCount, settings.wakeTimeout, stopVoiceInput]);
+
+  // Turning hands-free off ends an awake turn straight away
+  useEffect(() => {
+    if (!isHandsFree) {
+      setIsAwake(false);
+    }
+  }, [isHandsFree]);
+
+  // Opt-in recording: the microphone while a voice turn is open, plus synthesized replies
+  const { isRecording } = useVoiceRecorder({
+    enabled: settings.recordVoice && isVoiceActive,
+    recordSpeech: settings.recordVoice,
+    sessionId: chatState.sessionId
+  });
+  const recordings = useSessionRecordings(chatState.sessionId);
+
+  useEffect(() => {
+    return voiceRecorder.onError((error) => handleError(error, 'Recording voice'));
+  }, [handleError]);
+
+  const handleExportRecording = useCallback((clip, format) => {
+    exportRecordingClip(clip, format).catch(error => handleError(error, 'Exporting recording'));
+  }, [handleError]);
+
+  // Update chat state based on voice state; a failed widget isn't an error once the fallback is in use
   useEffect(() => {
     setChatState(prev => ({
       ...prev,
       isConnected,
       isListening,
       isSpeaking,
-      error: widgetError?.message || null
+      error: isBrowserVoice ? null : widgetError?.message || null
     }));
-  }, [isConnected, isListening, isSpeaking, widgetError]);
+  }, [isConnected, isListening, isSpeaking, widgetError, isBrowserVoice]);
+
+  // Keep latest messages available to async handlers
+  useEffect(() => {
+    messagesRef.current = chatState.messages;
+  }, [chatState.messages]);
+
+  // Load messages whenever a different conversation becomes active
+  useEffect(() => {
+    if (!activeSession || loadedSessionIdRef.current === activeSession.id) return;
+
+    abortControllerRef.current?.abort();
+    loadedSessionIdRef.current = activeSession.id;
+    messagesRef.current = activeSession.messages;
+    setChatState(prev => ({
+      ...prev,
+      sessionId: activeSession.id,
+      messages: activeSession.messages,
+      error: null,
+    }));
+  }, [activeSession]);
+
+  // Persist message changes to the active conversation
+  const { sessionId: loadedSessionId, messages: currentMessages } = chatState;
+  useEffect(() => {
+    if (!loadedSessionId || loadedSessionId !== activeSession?.id) return;
+    if (currentMessages === activeSession.messages) return;
+
+    saveMessages(loadedSessionId, currentMessages);
+  }, [loadedSessionId, currentMessages, activeSession, saveMessages]);
+
+  // Cancel any pending or spoken reply when the chat window unmounts
+  useEffect(() => {
+    return () => {
+      abortControllerRef.current?.abort();
+      getChatProvider().cancel();
+      speechQueue.cancel();
+    };
+  }, []);
 
   // Notify parent of voice state changes
   useEffect(() => {
     onVoiceStateChange?.(isListening || isSpeaking);
   }, [isListening, isSpeaking, onVoiceStateChange]);
 
-  // Handle text message sending
-  const handleSendMessage = useCallback(async (content) => {
-    if (!content.trim()) return;
+  // Apply a partial update to a single message by id
+  const updateMessage = useCallback((messageId, getChanges) => {
+    setChatState(prev => ({
+      ...prev,
+      messages: prev.messages.map(message => (
+        message.id === messageId ? { ...message, ...getChanges(message) } : message
+      )),
+    }));
+  }, []);
 
-    try {
-      const userMessage = createChatMessage(content.trim(), 'user', 'text');
-      
+  // Merge spoken turns from the voice session into the timeline as voice messages;
+  // tentative text streams into a live message that the final transcript then settles
+  useEffect(() => {
+    return voiceSession.onTranscript(({ role, text, isFinal }) => {
+      if (!text?.trim()) return;
+
+      const liveId = liveTranscriptIdsRef.current[role];
+      if (liveId) {
+        updateMessage(liveId, () => ({ content: text.trim(), status: isFinal ? 'sent' : 'streaming' }));
+        if (isFinal) {
+          delete liveTranscriptIdsRef.current[role];
+        }
+        return;
+      }
+
+      const message = createChatMessage(text, role, 'voice', isFinal ? 'sent' : 'streaming');
+      if (!isFinal) {
+        liveTranscriptIdsRef.current[role] = message.id;
+      }
       setChatState(prev => ({
         ...prev,
-        messages: [...prev.messages, userMessage],
+        messages: [...prev.messages, message],
       }));
+    });
+  }, [updateMessage]);
 
-      setInputValue('');
-      setIsLoading(true);
-
-      // Simulate AI response (in real implementation, this would be handled by ElevenLabs)
-      setTimeout(() => {
-        const responses = [
-          "I understand your request. How can I assist you further?",
-          "Processing your input. What would you like me to help you with next?",
-          "I'm here to help. Please let me know if you need anything else.",
-          "Your message has been received. I'm ready for your next command.",
-          "Thank you for your input. How may I be of service?"
-        ];
-        
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-        const assistantMessage = createChatMessage(randomResponse, 'assistant', 'text');
-        
+  // Settle live transcripts left over when a call ends
+  useEffect(() => {
+    const liveIds = Object.values(liveTranscriptIdsRef.current);
+    if (isInCall || liveIds.length === 0) return;
+
+    liveTranscriptIdsRef.current = {};
+    setChatState(prev => ({
+      ...prev,
+      messages: prev.messages.map(message => (
+        liveIds.includes(message.id) ? { ...message, status: 'sent' } : message
+      )),
+    }));
+  }, [isInCall]);
+
+  // Queue finished replies to be read aloud when auto-speak is on
+  const speakReply = useCallback((messageId, text) => {
+    if (settings.autoSpeak && text) {
+      speak(messageId, text);
+    }
+  }, [settings.autoSpeak, speak]);
+
+  // Replay a reply, or stop it if it is the one being read
+  const handleSpeakMessage = useCallback((message) => {
+    if (message.id === speakingId) {
+      cancelSpeech();
+    } else {
+      replay(message.id, message.content);
+    }
+  }, [speakingId, replay, cancelSpeech]);
+
+  // Stream a reply for `history` into an existing assistant message. Tool calls the model asks
+  // for are run, recorded on the message (toolCalls) and sent back until it answers in text,
+  // for at most MAX_TOOL_ROUNDS rounds.
+  const generateReply = useCallback(async (history, assistantMessageId) => {
+    const abortController = new AbortController();
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = abortController;
+    setIsLoading(true);
+
+    const tools = settings.toolsEnabled ? getToolDefinitions() : [];
+    const sessionId = chatState.sessionId;
+    const toolMessages = [];
+    let replyText = '';
+
+    try {
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        // The last round offers no tools, so the model has to answer
+        const roundTools = round < MAX_TOOL_ROUNDS ? tools : [];
+        let calls = [];
+        let roundText = '';
+
+        const reply = await withRetry((attempt) => {
+          if (attempt > 0) {
+            updateMessage(assistantMessageId, () => ({ status: 'streaming' }));
+          }
+          calls = [];
+
+          return getChatProvider().stream([...toProviderMessages(history), ...toolMessages], {
+            signal: abortController.signal,
+            tools: roundTools,
+            onToolCall: (call) => calls.push(call),
+            onChunk: (chunk) => {
+              roundText += chunk;
+              updateMessage(assistantMessageId, message => ({
+                content: message.content + chunk
+              }));
+            }
+          });
+        }, {
+          signal: abortController.signal,
+          // Partial text from a failed attempt is discarded; the retry streams it again
+          onRetry: ({ attempt }) => {
+            const discarded = roundText.length;
+            roundText = '';
+            updateMessage(assistantMessageId, message => ({
+              content: message.content.slice(0, message.content.length - discarded),
+              status: 'retrying',
+              retryAttempt: attempt
+            }));
+          }
+        });
+
+        // Providers that don't stream chunks only return the text
+        if (!roundText && reply) {
+          roundText = reply;
+          updateMessage(assistantMessageId, message => ({ content: message.content + reply }));
+        }
+        replyText += roundText;
+        if (calls.length === 0) break;
+
+        // Calls the model wasn't offered tools for (last round, or tools off) are never run
+        if (roundTools.length === 0) {
+          const refused = calls.map(call => ({
+            ...call,
+            round,
+            status: 'error',
+            error: `Not run: tools are not available${round === MAX_TOOL_ROUNDS ? ` after ${MAX_TOOL_ROUNDS} rounds` : ''}`
+          }));
+          updateMessage(assistantMessageId, message => ({
+            toolCalls: [...(message.toolCalls || []), ...refused]
+          }));
+          break;
+        }
+
+        const results = [];
+        for (const call of calls) {
+          const toolCall = { ...call, round, status: 'running' };
+          const updateToolCall = (changes) => updateMessage(assistantMessageId, message => ({
+            toolCalls: message.toolCalls.map(existing => (
+              existing.id === call.id && existing.round === round ? { ...existing, ...changes } : existing
+            ))
+          }));
+          updateMessage(assistantMessageId, message => ({
+            status: 'streaming',
+            retryAttempt: undefined,
+            toolCalls: [...(message.toolCalls || []), toolCall]
+          }));
+
+          let outcome;
+          try {
+            const result = await runTool(call, {
+              signal: abortController.signal,
+              sessionId,
+              // Risky tools wait for the user in ToolConfirmDialog
+              onStatus: status => updateToolCall({ status })
+            });
+            outcome = { status: 'done', result };
+          } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // The model hears about the failure (or the refusal) and can correct itself
+            outcome = { status: error.denied ? 'denied' : 'error', error: error.message };
+          }
+          abortController.signal.throwIfAborted();
+
+          results.push({ ...toolCall, ...outcome });
+          updateToolCall(outcome);
+        }
+        toolMessages.push(...toToolCallMessages(results, roundText));
+      }
+
+      updateMessage(assistantMessageId, message => ({
+        content: message.content || replyText,
+        status: 'sent',
+        retryAttempt: undefined
+      }));
+      speakReply(assistantMessageId, replyText);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever streamed before the stop; drop the reply if nothing arrived
         setChatState(prev => ({
           ...prev,
-          messages: [...prev.messages, assistantMessage],
+          messages: prev.messages.flatMap(message => {
+            if (message.id !== assistantMessageId) return [message];
+            if (message.content || message.toolCalls?.length) {
+              return [{ ...message, status: 'cancelled', retryAttempt: undefined }];
+            }
+            const previousVersion = discardActiveVersion(message);
+            return previousVersion ? [previousVersion] : [];
+          }),
         }));
-        
+        return;
+      }
+
+      updateMessage(assistantMessageId, () => ({ status: 'error', retryAttempt: undefined }));
+
+      console.error('Error sending message:', error);
+      setChatState(prev => ({
+        ...prev,
+        error: 'Failed to send message. Please try again.',
+      }));
+      handleError(error, 'Message sending');
+    } finally {
+      // A newer request may have taken over; only the current one clears the loading state
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
         setIsLoading(false);
-      }, 1500 + Math.random() * 1000); // Random delay between 1.5-2.5 seconds
+      }
+    }
+  }, [settings.toolsEnabled, chatState.sessionId, handleError, updateMessage, speakReply]);
+
+  // Handle message sending; spoken input is sent with type 'voice'
+  const handleSendMessage = useCallback(async (content, type = 'text') => {
+    if (!content.trim()) return;
+
+    try {
+      // While offline the message waits in the outbox until connectivity returns
+      if (!isOnline) {
+        const queuedMessage = createChatMessage(content.trim(), 'user', type, 'queued');
+        setChatState(prev => ({
+          ...prev,
+          messages: [...prev.messages, queuedMessage],
+        }));
+        setInputValue('');
+        return;
+      }
+
+      const userMessage = createChatMessage(content.trim(), 'user', type);
+      const assistantMessage = createStreamingMessage('assistant', 'text');
+      const history = [...messagesRef.current, userMessage];
+
+      setChatState(prev => ({
+        ...prev,
+        messages: [...prev.messages, userMessage, assistantMessage],
+      }));
+      setInputValue('');
+
+      await generateReply(history, assistantMessage.id);
     } catch (error) {
       console.error('Error sending message:', error);
       setChatState(prev => ({
         ...prev,
         error: 'Failed to send message. Please try again.',
       }));
-      setIsLoading(false);
       handleError(error, 'Message sending');
     }
+  }, [generateReply, handleError, isOnline]);
+
+  useEffect(() => {
+    sendMessageRef.current = handleSendMessage;
+  }, [handleSendMessage]);
+
+  // Flush the outbox one message at a time once back online
+  useEffect(() => {
+    if (!isOnline || isLoading) return;
+
+    const messages = chatState.messages;
+    const queuedIndex = messages.findIndex(message => message.status === 'queued');
+    if (queuedIndex === -1) return;
+
+    const sentMessage = { ...messages[queuedIndex], status: 'sent', timestamp: new Date() };
+    const history = [...messages.slice(0, queuedIndex), sentMessage];
+    const assistantMessage = createStreamingMessage('assistant', 'text');
+
+    messagesRef.current = [...history, assistantMessage, ...messages.slice(queuedIndex + 1)];
+    setChatState(prev => ({
+      ...prev,
+      messages: messagesRef.current,
+    }));
+    generateReply(history, assistantMessage.id);
+  }, [isOnline, isLoading, chatState.messages, generateReply]);
+
+  // Retry a reply that failed, replacing the failed attempt
+  const handleRetryMessage = useCallback(async (message) => {
+    const index = messagesRef.current.findIndex(m => m.id === message.id);
+    if (index === -1) return;
+
+    if (!isOnline) {
+      toast.error('You are offline. Reconnect to retry.');
+      return;
+    }
+
+    updateMessage(message.id, () => ({ content: '', status: 'streaming', toolCalls: undefined }));
+    await generateReply(messagesRef.current.slice(0, index), message.id);
+  }, [generateReply, updateMessage, isOnline]);
+
+  // Copy a message's text to the clipboard
+  const handleCopyMessage = useCallback(async (message) => {
+    try {
+      await navigator.clipboard.writeText(message.content);
+      toast.success('Copied to clipboard');
+    } catch (error) {
+      handleError(error, 'Copying message');
+    }
   }, [handleError]);
 
+  // Replace a user message and resend from that point, dropping later turns
+  const handleEditMessage = useCallback(async (messageId, content) => {
+    const index = messagesRef.current.findIndex(message => message.id === messageId);
+    if (index === -1 || !content.trim()) return;
+
+    const editedMessage = {
+      ...messagesRef.current[index],
+      content: content.trim(),
+      timestamp: new Date(),
+      status: 'sent'
+    };
+    const history = [...messagesRef.current.slice(0, index), editedMessage];
+    const assistantMessage = createStreamingMessage('assistant', 'text');
+
+    setChatState(prev => ({
+      ...prev,
+      messages: [...history, assistantMessage],
+    }));
+
+    await generateReply(history, assistantMessage.id);
+  }, [generateReply]);
+
+  // Generate a new version of an assistant reply, keeping earlier ones as alternates
+  const handleRegenerateMessage = useCallback(async (message) => {
+    const index = messagesRef.current.findIndex(m => m.id === message.id);
+    if (index === -1) return;
+
+    updateMessage(message.id, current => startNewVersion(current));
+    await generateReply(messagesRef.current.slice(0, index), message.id);
+  }, [generateReply, updateMessage]);
+
+  const handleSelectVersion = useCallback((messageId, versionIndex) => {
+    updateMessage(messageId, message => selectVersion(message, versionIndex));
+  }, [updateMessage]);
+
+  const handleDeleteMessage = useCallback((message) => {
+    setChatState(prev => ({
+      ...prev,
+      messages: prev.messages.filter(m => m.id !== message.id),
+    }));
+  }, []);
+
+  // Stop the reply that is currently being generated
+  const handleStopGeneration = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
   // Handle voice toggle
   const handleVoiceToggle = useCallback(() => {
     try {
@@ -216,44 +1083,246 @@ const ChatWindow = ({
     }
   }, [toggleVoiceInput, handleError]);
 
+  // Slash commands: what they can do to the chat, the app and its settings
+  const commandContext = useMemo(() => ({
+    settings,
+    clearConversation: () => {
+      abortControllerRef.current?.abort();
+      cancelSpeech();
+      liveTranscriptIdsRef.current = {};
+      setChatState(prev => ({ ...prev, messages: [], error: null }));
+      toast.success('Conversation cleared');
+    },
+    startNewSession,
+    exportConversation: (format) => {
+      const messages = messagesRef.current;
+      if (messages.length === 0) {
+        throw createCommandError('Nothing to export yet');
+      }
+      exportConversation({
+        id: chatState.sessionId,
+        title: activeSession?.hasCustomTitle ? activeSession.title : deriveSessionTitle(messages),
+        createdAt: activeSession?.createdAt,
+        messages
+      }, format);
+    },
+    setVoiceEnabled: (voiceEnabled) => {
+      if (!voiceEnabled && isVoiceActive) stopVoiceInput();
+      updateSettings({ voiceEnabled });
+      toast.success(voiceEnabled ? 'Voice control on' : 'Voice control off');
+    },
+    setTheme: (theme) => updateSettings({ theme }),
+    toggleDebugPanel: () => {
+      if (!onToggleDebugPanel) {
+        throw createCommandError('The debug panel is not available here');
+      }
+      onToggleDebugPanel();
+    },
+    showCommandHelp: (name) => {
+      if (!name) {
+        // Reopen the completion list with every command in it
+        setInputValue('/');
+        inputRef.current?.focus();
+        return;
+      }
+      const command = findSlashCommand(name.replace(/^\//, ''));
+      if (!command) {
+        throw createCommandError(`Unknown command "/${name.replace(/^\//, '')}"`);
+      }
+      toast(`${getCommandUsage(command)}\n${command.description}`);
+    }
+  }), [settings, cancelSpeech, startNewSession, chatState.sessionId, activeSession, isVoiceActive, stopVoiceInput, updateSettings, onToggleDebugPanel]);
+
+  // Send the input as a message, or run it when it is a slash command ("//text" sends "/text")
+  const submitInput = useCallback(async (text) => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('//')) {
+      handleSendMessage(trimmed.slice(1));
+      return;
+    }
+    if (!parseSlashInput(trimmed)) {
+      handleSendMessage(text);
+      return;
+    }
+
+    // Cleared first so a command can put something else in the input (e.g. /help)
+    setInputValue('');
+    try {
+      await runSlashCommand(trimmed, commandContext);
+    } catch (error) {
+      setInputValue(trimmed);
+      if (error.name === 'CommandError') {
+        toast.error(error.message);
+      } else {
+        handleError(error, `Running ${trimmed.split(/\s/)[0]}`);
+      }
+    }
+  }, [commandContext, handleSendMessage, handleError]);
+
+  // Command palette entries for this chat; they share the slash command implementations
+  const paletteActions = useMemo(() => [
+    {
+      id: 'chat.clear',
+      title: 'Clear conversation',
+      group: 'Chat',
+      icon: Eraser,
+      keywords: ['reset', 'empty'],
+      perform: commandContext.clearConversation
+    },
+    ...CONVERSATION_EXPORT_FORMATS.map(format => ({
+      id: `chat.export-${format}`,
+      title: `Export conversation as ${format === 'json' ? 'JSON' : 'Markdown'}`,
+      group: 'Chat',
+      icon: Download,
+      keywords: ['download', 'save', format],
+      perform: () => commandContext.exportConversation(format)
+    })),
+    ...(settings.voiceEnabled ? [{
+      id: 'voice.input',
+      title: isVoiceActive ? 'Stop voice input' : 'Start voice input',
+      group: 'Voice',
+      icon: Mic,
+      keywords: ['microphone', 'listen', 'talk'],
+      shortcutId: 'voice.toggle',
+      perform: handleVoiceToggle
+    }] : []),
+    {
+      id: 'voice.control',
+      title: settings.voiceEnabled ? 'Turn voice control off' : 'Turn voice control on',
+      group: 'Voice',
+      icon: settings.voiceEnabled ? MicOff : Mic,
+      keywords: ['microphone', 'disable', 'enable'],
+      perform: () => commandContext.setVoiceEnabled(!settings.voiceEnabled)
+    }
+  ], [commandContext, settings.voiceEnabled, isVoiceActive, handleVoiceToggle]);
+  usePaletteActions(paletteActions);
+
+  // Lets the model save this conversation; it downloads a file, so the user is asked first
+  const exportTool = useMemo(() => ({
+    name: 'export_conversation',
+    risk: 'medium',
+    description: 'Download the current conversation to the user\'s device as a Markdown or JSON file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: CONVERSATION_EXPORT_FORMATS, description: 'File format; defaults to markdown' }
+      }
+    },
+    handler: async ({ format = 'markdown' }) => {
+      commandContext.exportConversation(format);
+      return { exported: true, format };
+    }
+  }), [commandContext]);
+  useTool(exportTool);
+
   // Handle input submission
   const handleInputSubmit = useCallback((e) => {
     e.preventDefault();
-    handleSendMessage(inputValue);
-  }, [inputValue, handleSendMessage]);
+    submitInput(inputValue);
+  }, [inputValue, submitInput]);
 
-  // Handle keyboard shortcuts
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Ctrl/Cmd + Enter to send message
-      if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-        e.preventDefault();
-        handleSendMessage(inputValue);
-      }
-      
-      // Escape to clear input or stop voice
-      if (e.key === 'Escape') {
-        if (isListening) {
-          handleVoiceToggle();
-        } else if (inputValue) {
-          setInputValue('');
-        }
+  // Completion popover for slash commands typed in the input
+  const slashCommands = useSlashCommands();
+  const [selectedSuggestionId, setSelectedSuggestionId] = useState('');
+  const [isCommandMenuDismissed, setIsCommandMenuDismissed] = useState(false);
+  const suggestions = useMemo(() => getSlashSuggestions(inputValue, slashCommands), [inputValue, slashCommands]);
+  const isCommandMenuOpen = suggestions.length > 0 && !isCommandMenuDismissed && !isListening;
+  const selectableSuggestions = suggestions.filter(suggestion => suggestion.kind !== 'hint');
+  const activeSuggestion = selectableSuggestions.find(suggestion => suggestion.id === selectedSuggestionId) || selectableSuggestions[0];
+
+  const handleInputChange = (e) => {
+    setInputValue(e.target.value);
+    setIsCommandMenuDismissed(false);
+  };
+
+  const acceptSuggestion = useCallback((suggestion) => {
+    setInputValue(suggestion.value);
+    setSelectedSuggestionId('');
+    inputRef.current?.focus();
+  }, []);
+
+  // Arrow keys move through the completions, Tab accepts one and Enter accepts it unless the
+  // input already reads the same, in which case it is sent
+  const handleInputKeyDown = (e) => {
+    if (!isCommandMenuOpen || !activeSuggestion) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const index = selectableSuggestions.indexOf(activeSuggestion);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const next = selectableSuggestions[(index + step + selectableSuggestions.length) % selectableSuggestions.length];
+      setSelectedSuggestionId(next.id);
+    } else if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      acceptSuggestion(activeSuggestion);
+    } else if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey && activeSuggestion.value.trim() !== inputValue.trim()) {
+      e.preventDefault();
+      acceptSuggestion(activeSuggestion);
+    } else if (e.key === 'Escape') {
+      // Close the menu without clearing the input
+      e.stopPropagation();
+      setIsCommandMenuDismissed(true);
+    }
+  };
+
+  // Keyboard shortcuts (see services/shortcuts.js); the keys can be remapped in settings
+  useShortcut({
+    id: 'chat.send',
+    description: 'Send message',
+    keys: 'mod+enter',
+    scope: 'chat',
+    allowInInput: true,
+    onPress: () => {
+      submitInput(inputValue);
+    }
+  });
+
+  // Stop a pending reply, stop reading aloud, stop voice or clear the input, in that order
+  useShortcut({
+    id: 'chat.cancel',
+    description: 'Stop reply, stop voice or clear input',
+    keys: 'escape',
+    scope: 'chat',
+    allowInInput: true,
+    onPress: () => {
+      if (isLoading) {
+        handleStopGeneration();
+      } else if (isReadingAloud) {
+        cancelSpeech();
+      } else if (isVoiceActive) {
+        handleVoiceToggle();
+      } else if (inputValue) {
+        setInputValue('');
+      } else {
+        return false;
       }
-      
-      // Space to toggle voice (when input is not focused)
-      if (e.key === ' ' && document.activeElement !== inputRef.current) {
-        e.preventDefault();
+    }
+  });
+
+  // Toggle voice, or hold the key in push-to-talk mode. Never fires in text fields, on
+  // buttons or in scrollable areas, where Space keeps its usual meaning.
+  useShortcut({
+    id: 'voice.toggle',
+    description: 'Toggle voice input, or hold to talk in push-to-talk mode',
+    keys: 'space',
+    scope: 'chat',
+    enabled: settings.voiceEnabled,
+    onPress: () => {
+      if (isPushToTalk) {
+        pressToTalk();
+      } else {
         handleVoiceToggle();
       }
-    };
+    },
+    onRelease: releaseToTalk
+  });
 
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [inputValue, isListening, handleSendMessage, handleVoiceToggle]);
+  const { shortcuts } = useShortcuts();
+  const talkKeys = shortcuts.find(shortcut => shortcut.id === 'voice.toggle')?.keys;
 
   // Get current status for display
   const getCurrentStatus = () => {
-    if (chatState.error) return 'error';
+    if (!isOnline || chatState.error) return 'error';
     if (isSpeaking) return 'speaking';
     if (isListening) return 'listening';
     if (isLoading) return 'processing';
@@ -261,11 +1330,17 @@ const ChatWindow = ({
     return 'idle';
   };
 
+  const queuedCount = chatState.messages.filter(message => message.status === 'queued').length;
+
   const getStatusMessage = () => {
+    if (!isOnline) return queuedCount > 0 ? `Offline - ${queuedCount} queued` : 'Offline';
     if (chatState.error) return chatState.error;
     if (isSpeaking) return 'JARVIS is speaking...';
-    if (isListening) return 'Listening for your voice...';
+    if (isListening) return isBrowserVoice ? 'Listening (browser speech)...' : 'Listening for your voice...';
+    if (isInCall) return 'Voice call in progress';
     if (isLoading) return 'Processing your message...';
+    if (isArmed) return `Say "${settings.wakePhrase}"`;
+    if (isPushToTalk) return talkKeys && settings.keyboardShortcuts ? `Hold ${formatKeys(talkKeys)} or the mic to talk` : 'Hold the mic to talk';
     if (isConnected) return 'Voice ready';
     return 'Ready';
   };
@@ -304,34 +1379,44 @@ const ChatWindow = ({
         <div className="relative flex items-center justify-between">
           <div className="flex items-center gap-3">
             {/* Holographic JARVIS Icon */}
-            <motion.div 
-              className="relative w-8 h-8 rounded-full bg-gradient-to-br from-jarvis-blue/80 to-jarvis-cyan/80 flex items-center justify-center border-2 border-jarvis-blue/50"
-              animate={isListening ? { scale: [1, 1.1, 1] } : {}}
-              transition={{ duration: 1, repeat: isListening ? Infinity : 0 }}
-            >
-              <div className="w-4 h-4 rounded-full bg-white/90 animate-pulse" />
-              {/* Holographic rings */}
-              <div className="absolute inset-0 rounded-full border border-jarvis-blue/30 animate-spin-slow" />
-              <div className="absolute inset-1 rounded-full border border-jarvis-cyan/20 animate-spin-slow" style={{ animationDirection: 'reverse' }} />
-            </motion.div>
+            <VoiceOrb isListening={isVoiceActive} isSpeaking={isSpeaking} />
             
             <div className="space-y-0.5">
               <h3 className="font-orbitron text-lg font-bold text-jarvis-blue tracking-wider drop-shadow-[0_0_10px_rgba(0,212,255,0.8)]">
                 JARVIS
               </h3>
-              <div className="flex items-center gap-2">
-                <div className="w-1.5 h-1.5 rounded-full bg-green-400 animate-pulse" />
-                <span className="text-xs text-jarvis-cyan/80 font-rajdhani uppercase tracking-wider">
-                  {getStatusMessage()}
-                </span>
-              </div>
+              <StatusIndicator
+                status={getCurrentStatus()}
+                message={getStatusMessage()}
+              />
             </div>
           </div>
           
           {/* Holographic Status Display */}
           <div className="text-right space-y-0.5">
+            {isRecording && (
+              <RecordingIndicator onStop={() => updateSettings({ recordVoice: false })} />
+            )}
+            {/* Hands-free armed indicator, doubling as its on/off switch */}
+            {settings.voiceEnabled && isWakeWordSupported && (
+              <button
+                type="button"
+                onClick={() => updateSettings({ handsFree: !settings.handsFree })}
+                aria-pressed={settings.handsFree}
+                title={settings.handsFree ? 'Turn hands-free off' : `Turn hands-free on ("${settings.wakePhrase}")`}
+                className={cn(
+                  'inline-flex items-center gap-1 px-1.5 py-0.5 rounded-full border text-xs font-rajdhani uppercase tracking-wider transition-colors',
+                  isArmed || isAwake
+                    ? 'border-green-400/60 text-green-300 bg-green-500/10 shadow-[0_0_10px_rgba(74,222,128,0.4)]'
+                    : 'border-jarvis-blue/30 text-jarvis-blue/60 hover:text-jarvis-cyan'
+                )}
+              >
+                {settings.handsFree ? <Ear className={cn('w-3 h-3', isArmed && 'animate-pulse')} /> : <EarOff className="w-3 h-3" />}
+                {!settings.handsFree ? 'Hands-free off' : isAwake ? 'Awake' : isArmed ? 'Armed' : 'Paused'}
+              </button>
+            )}
             <div className="text-xs text-jarvis-blue/70 font-orbitron uppercase tracking-wider">
-              STATUS: ONLINE
+              STATUS: {isOnline ? 'ONLINE' : 'OFFLINE'}
             </div>
             <div className="text-xs text-jarvis-cyan/60 font-rajdhani">
               STARK INDUSTRIES
@@ -360,7 +1445,18 @@ const ChatWindow = ({
            <MessageList
              messages={chatState.messages}
              isLoading={isLoading}
+             renderUserMarkdown={renderUserMarkdown}
              className="relative z-10"
+             onCopyMessage={handleCopyMessage}
+             onEditMessage={handleEditMessage}
+             onRegenerateMessage={handleRegenerateMessage}
+             onDeleteMessage={handleDeleteMessage}
+             onSelectVersion={handleSelectVersion}
+             onRetryMessage={handleRetryMessage}
+             speakingMessageId={speakingId}
+             onSpeakMessage={isTtsSupported ? handleSpeakMessage : undefined}
+             recordings={recordings}
+             onExportRecording={handleExportRecording}
            />
            
            {/* Right Side Indicators */}
@@ -403,12 +1499,23 @@ const ChatWindow = ({
 
          {/* Input form */}
          <form onSubmit={handleInputSubmit} className="relative flex items-end gap-6">
-           <div className="flex-1">
+           <div className="relative flex-1">
+              {isCommandMenuOpen && (
+                <SlashCommandMenu
+                  suggestions={suggestions}
+                  selectedId={activeSuggestion?.id || ''}
+                  onSelectedChange={setSelectedSuggestionId}
+                  onAccept={acceptSuggestion}
+                />
+              )}
                            <HolographicInput
                 ref={inputRef}
-                value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
-                placeholder="Type your message..."
+                value={isBrowserVoice && speech.interimTranscript ? speech.interimTranscript : inputValue}
+                onChange={handleInputChange}
+                onKeyDown={handleInputKeyDown}
+                placeholder="Type a message or / for commands..."
+                aria-expanded={isCommandMenuOpen}
+                aria-autocomplete="list"
                 variant="chat"
                 disabled={isLoading || isListening}
                 className="text-xl bg-black/60 border-3 border-jarvis-blue/70 focus:border-jarvis-cyan/90 px-10 rounded-2xl shadow-[0_0_40px_rgba(0,212,255,0.5)] transition-all duration-300 font-bold"
@@ -416,28 +1523,46 @@ const ChatWindow = ({
               />
            </div>
            
-           {/* Holographic Voice button */}
-           <MicrophoneButton
-             isListening={isListening}
-             isProcessing={isLoading || isSpeaking}
-             disabled={isLoading}
-             size="small"
-             onToggle={handleVoiceToggle}
-             aria-label={isListening ? "Stop voice input" : "Start voice input"}
-             className="relative"
-           />
+           {/* Holographic Voice button; holding to talk still works while JARVIS speaks, to interrupt it */}
+           {settings.voiceEnabled && (
+             <LevelMicrophoneButton
+               mode={isPushToTalk ? 'push' : 'toggle'}
+               isListening={isPushToTalk ? isHolding : isVoiceActive}
+               isProcessing={isLoading || (!isPushToTalk && isSpeaking)}
+               disabled={isLoading}
+               size="small"
+               onToggle={handleVoiceToggle}
+               onPressStart={pressToTalk}
+               onPressEnd={releaseToTalk}
+               aria-label={isVoiceActive ? "Stop voice input" : "Start voice input"}
+               className="relative"
+             />
+           )}
            
-           {/* Holographic Send button */}
-           <HolographicButton
-             type="submit"
-             size="small"
-             disabled={!inputValue.trim() || isLoading || isListening}
-             loading={isLoading}
-             className="px-10 bg-gradient-to-r from-jarvis-blue/80 to-jarvis-cyan/80 hover:from-jarvis-blue hover:to-jarvis-cyan border-jarvis-blue/50 rounded-2xl shadow-[0_0_40px_rgba(0,212,255,0.5)] transition-all duration-300 text-xl font-bold"
-             style={{ height: '60px', paddingTop: '8px', paddingBottom: '8px' }}
-           >
-             Send
-           </HolographicButton>
+           {/* Holographic Send / Stop button */}
+           {isLoading ? (
+             <HolographicButton
+               type="button"
+               size="small"
+               variant="accent"
+               onClick={handleStopGeneration}
+               aria-label="Stop generating reply"
+               className="px-10 bg-gradient-to-r from-red-500/60 to-jarvis-blue/60 hover:from-red-500/80 hover:to-jarvis-blue/80 border-red-400/50 rounded-2xl shadow-[0_0_40px_rgba(255,0,100,0.4)] transition-all duration-300 text-xl font-bold"
+               style={{ height: '60px', paddingTop: '8px', paddingBottom: '8px' }}
+             >
+               Stop
+             </HolographicButton>
+           ) : (
+             <HolographicButton
+               type="submit"
+               size="small"
+               disabled={!inputValue.trim() || isListening}
+               className="px-10 bg-gradient-to-r from-jarvis-blue/80 to-jarvis-cyan/80 hover:from-jarvis-blue hover:to-jarvis-cyan border-jarvis-blue/50 rounded-2xl shadow-[0_0_40px_rgba(0,212,255,0.5)] transition-all duration-300 text-xl font-bold"
+               style={{ height: '60px', paddingTop: '8px', paddingBottom: '8px' }}
+             >
+               Send
+             </HolographicButton>
+           )}
          </form>
 
          {/* Holographic Status Bar */}
@@ -453,7 +1578,7 @@ const ChatWindow = ({
 
       {/* Particle effects */}
       <div className="particle-field absolute inset-0 pointer-events-none">
-        {Array.from({ length: 8 }).map((_, i) => (
+        {settings.motionLevel !== 'off' && Array.from({ length: 8 }).map((_, i) => (
           <motion.div
             key={i}
             className="particle absolute"
@@ -487,16 +1612,16 @@ const ChatWindow = ({
       </AnimatePresence>
 
       {/* ElevenLabs Widget - Bottom Right */}
-      <div className="absolute bottom-2 right-2 z-50">
-        <ElevenLabsWidget
-          agentId="agent_7601k23b460aeejb2pvyfcvw6atk"
-          onStatusChange={handleStatusChange}
-          onConversationStart={handleConversationStart}
-          onConversationEnd={handleConversationEnd}
-          onError={handleWidgetError}
-          className="w-12 h-12 rounded-full bg-gradient-to-br from-jarvis-blue/80 to-jarvis-cyan/80 border-2 border-jarvis-blue/50 shadow-[0_0_20px_rgba(0,212,255,0.6)] hover:shadow-[0_0_30px_rgba(0,212,255,0.8)] transition-all duration-300"
-        />
-      </div>
+      {settings.voiceEnabled && hasVoiceWidget && (
+        <div className="absolute bottom-2 right-2 z-50">
+          <ElevenLabsWidget
+            agentId={agentId}
+            className="w-12 h-12 rounded-full bg-gradient-to-br from-jarvis-blue/80 to-jarvis-cyan/80 border-2 border-jarvis-blue/50 shadow-[0_0_20px_rgba(0,212,255,0.6)] hover:shadow-[0_0_30px_rgba(0,212,255,0.8)] transition-all duration-300"
+          />
+        </div>
+      )}
+
+      <ToolConfirmDialog />
     </motion.div>
   );
 };
@@ -0,0 +1,304 @@
+import React, { useState, useMemo } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { MessageSquare, MessageSquarePlus, Pencil, Pin, PinOff, Search, Trash2 } from 'lucide-react';
+import { cn } from '../../utils/index.js';
+import { useConversations } from '../../contexts/ConversationContext.jsx';
+import { usePaletteActions } from '../../hooks/useCommandPalette.js';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarInput,
+  SidebarMenu,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  useSidebar,
+} from '../ui/sidebar.jsx';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '../ui/alert-dialog.jsx';
+
+const PREVIEW_MAX_LENGTH = 60;
+
+const getPreview = (session) => {
+  const lastMessage = [...session.messages].reverse().find(message => message.content);
+  if (!lastMessage) return 'No messages yet';
+
+  const text = lastMessage.content.replace(/\s+/g, ' ').trim();
+  return text.length > PREVIEW_MAX_LENGTH ? `${text.slice(0, PREVIEW_MAX_LENGTH - 1)}…` : text;
+};
+
+const matchesQuery = (session, query) => {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return session.title.toLowerCase().includes(needle) ||
+    session.messages.some(message => message.content?.toLowerCase().includes(needle));
+};
+
+const SessionItem = ({ session, isActive, onSelect, onRename, onTogglePin, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(session.title);
+
+  const startEditing = () => {
+    setDraftTitle(session.title);
+    setIsEditing(true);
+  };
+
+  const commitRename = () => {
+    setIsEditing(false);
+    if (draftTitle.trim() && draftTitle.trim() !== session.title) {
+      onRename(session.id, draftTitle);
+    }
+  };
+
+  const handleEditKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <SidebarMenuItem className="px-1 py-1">
+        <SidebarInput
+          autoFocus
+          value={draftTitle}
+          onChange={(e) => setDraftTitle(e.target.value)}
+          onKeyDown={handleEditKeyDown}
+          onBlur={commitRename}
+          aria-label="Conversation title"
+          className="bg-black/40 border-jarvis-blue/40 text-jarvis-cyan font-rajdhani"
+        />
+      </SidebarMenuItem>
+    );
+  }
+
+  return (
+    <SidebarMenuItem>
+      <SidebarMenuButton
+        size="lg"
+        isActive={isActive}
+        onClick={() => onSelect(session.id)}
+        className={cn(
+          'h-auto flex-col items-start gap-0.5 pr-20 font-rajdhani',
+          'text-jarvis-blue/80 hover:bg-jarvis-blue/10 hover:text-jarvis-cyan',
+          'data-[active=true]:bg-jarvis-blue/20 data-[active=true]:text-jarvis-cyan data-[active=true]:shadow-[inset_2px_0_0_rgba(0,212,255,0.8)]'
+        )}
+      >
+        <span className="flex w-full items-center gap-1 truncate text-sm font-semibold">
+          {session.pinned && <Pin className="size-3 shrink-0 text-jarvis-cyan" aria-label="Pinned" />}
+          <span className="truncate">{session.title}</span>
+        </span>
+        <span className="w-full truncate text-xs opacity-70">{getPreview(session)}</span>
+        <span className="text-[10px] uppercase tracking-wider opacity-50">
+          {formatDistanceToNow(session.updatedAt, { addSuffix: true })}
+        </span>
+      </SidebarMenuButton>
+
+      {/* Session actions */}
+      <div className="absolute top-1.5 right-1 flex gap-0.5 md:opacity-0 group-hover/menu-item:opacity-100 group-focus-within/menu-item:opacity-100 transition-opacity">
+        <button
+          type="button"
+          onClick={() => onTogglePin(session.id, !session.pinned)}
+          aria-label={session.pinned ? 'Unpin conversation' : 'Pin conversation'}
+          className="p-1 rounded text-jarvis-blue/70 hover:text-jarvis-cyan hover:bg-jarvis-blue/20"
+        >
+          {session.pinned ? <PinOff className="size-3.5" /> : <Pin className="size-3.5" />}
+        </button>
+        <button
+          type="button"
+          onClick={startEditing}
+          aria-label="Rename conversation"
+          className="p-1 rounded text-jarvis-blue/70 hover:text-jarvis-cyan hover:bg-jarvis-blue/20"
+        >
+          <Pencil className="size-3.5" />
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(session)}
+          aria-label="Delete conversation"
+          className="p-1 rounded text-jarvis-blue/70 hover:text-red-400 hover:bg-red-500/20"
+        >
+          <Trash2 className="size-3.5" />
+        </button>
+      </div>
+    </SidebarMenuItem>
+  );
+};
+
+const ConversationSidebar = ({ className }) => {
+  const {
+    sessions,
+    activeSession,
+    switchSession,
+    startNewSession,
+    renameSession,
+    pinSession,
+    deleteSession,
+  } = useConversations();
+  const { isMobile, setOpenMobile } = useSidebar();
+  const [query, setQuery] = useState('');
+  const [sessionToDelete, setSessionToDelete] = useState(null);
+
+  const filteredSessions = useMemo(
+    () => sessions.filter(session => matchesQuery(session, query.trim())),
+    [sessions, query]
+  );
+  const pinnedSessions = filteredSessions.filter(session => session.pinned);
+  const recentSessions = filteredSessions.filter(session => !session.pinned);
+
+  // Close the sheet after navigating on narrow screens
+  const closeOnMobile = () => {
+    if (isMobile) setOpenMobile(false);
+  };
+
+  const handleSelect = (sessionId) => {
+    switchSession(sessionId);
+    closeOnMobile();
+  };
+
+  const handleNewChat = () => {
+    startNewSession();
+    closeOnMobile();
+  };
+
+  // New chat plus one "switch to" entry per stored conversation
+  const activeSessionId = activeSession?.id;
+  const paletteActions = useMemo(() => [
+    {
+      id: 'chat.new',
+      title: 'New chat',
+      group: 'Chat',
+      icon: MessageSquarePlus,
+      keywords: ['conversation', 'session', 'start'],
+      perform: () => startNewSession()
+    },
+    ...sessions.filter(session => session.id !== activeSessionId).map(session => ({
+      id: `session.${session.id}`,
+      title: `Switch to "${session.title}"`,
+      group: 'Conversations',
+      icon: session.pinned ? Pin : MessageSquare,
+      keywords: ['conversation', 'session', 'open'],
+      perform: () => switchSession(session.id)
+    }))
+  ], [sessions, activeSessionId, startNewSession, switchSession]);
+  usePaletteActions(paletteActions);
+
+  const handleConfirmDelete = () => {
+    if (sessionToDelete) {
+      deleteSession(sessionToDelete.id);
+    }
+    setSessionToDelete(null);
+  };
+
+  const renderGroup = (label, groupSessions) => groupSessions.length > 0 && (
+    <SidebarGroup>
+      <SidebarGroupLabel className="text-jarvis-blue/60 font-orbitron uppercase tracking-wider">
+        {label}
+      </SidebarGroupLabel>
+      <SidebarGroupContent>
+        <SidebarMenu>
+          {groupSessions.map(session => (
+            <SessionItem
+              key={session.id}
+              session={session}
+              isActive={session.id === activeSession?.id}
+              onSelect={handleSelect}
+              onRename={renameSession}
+              onTogglePin={pinSession}
+              onDelete={setSessionToDelete}
+            />
+          ))}
+        </SidebarMenu>
+      </SidebarGroupContent>
+    </SidebarGroup>
+  );
+
+  return (
+    <>
+      <Sidebar className={cn('border-jarvis-blue/30', className)}>
+        <div className="flex h-full flex-col bg-gradient-to-b from-slate-950/90 via-slate-900/85 to-slate-950/90 backdrop-blur-xl text-jarvis-blue">
+          <SidebarHeader className="border-b border-jarvis-blue/20">
+            <div className="flex items-center justify-between px-1">
+              <h2 className="font-orbitron text-sm font-bold tracking-wider text-jarvis-blue drop-shadow-[0_0_8px_rgba(0,212,255,0.6)]">
+                CONVERSATIONS
+              </h2>
+              <button
+                type="button"
+                onClick={handleNewChat}
+                aria-label="Start new conversation"
+                className="p-1.5 rounded-md border border-jarvis-blue/40 text-jarvis-cyan hover:bg-jarvis-blue/20 hover:shadow-[0_0_12px_rgba(0,212,255,0.5)] transition-all duration-300"
+              >
+                <MessageSquarePlus className="size-4" />
+              </button>
+            </div>
+            <div className="relative">
+              <Search className="absolute left-2 top-1/2 size-3.5 -translate-y-1/2 text-jarvis-blue/50" />
+              <SidebarInput
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => e.stopPropagation()}
+                placeholder="Search conversations..."
+                aria-label="Search conversations"
+                className="pl-7 bg-black/40 border-jarvis-blue/30 text-jarvis-cyan placeholder:text-jarvis-blue/40 font-rajdhani"
+              />
+            </div>
+          </SidebarHeader>
+
+          <SidebarContent>
+            {filteredSessions.length === 0 ? (
+              <p className="px-4 py-6 text-center text-xs text-jarvis-blue/50 font-rajdhani">
+                {query ? 'No conversations match your search' : 'No saved conversations yet'}
+              </p>
+            ) : (
+              <>
+                {renderGroup('Pinned', pinnedSessions)}
+                {renderGroup('Recent', recentSessions)}
+              </>
+            )}
+          </SidebarContent>
+        </div>
+      </Sidebar>
+
+      {/* Delete confirmation */}
+      <AlertDialog open={Boolean(sessionToDelete)} onOpenChange={(open) => !open && setSessionToDelete(null)}>
+        <AlertDialogContent className="bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue shadow-[0_0_40px_rgba(0,212,255,0.3)]">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="font-orbitron text-jarvis-blue">Delete conversation?</AlertDialogTitle>
+            <AlertDialogDescription className="font-rajdhani text-jarvis-blue/70">
+              &ldquo;{sessionToDelete?.title}&rdquo; will be permanently removed.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel className="bg-transparent border-jarvis-blue/40 text-jarvis-blue hover:bg-jarvis-blue/10">
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmDelete}
+              className="bg-red-500/30 border border-red-400/50 text-red-300 hover:bg-red-500/50"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+};
+
+export default ConversationSidebar;
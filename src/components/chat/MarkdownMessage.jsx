@@ -0,0 +1,80 @@
+import React, { useState, useRef, useCallback } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import { Check, Copy } from 'lucide-react';
+import { cn } from '../../utils/index.js';
+
+const COPY_FEEDBACK_MS = 2000;
+
+// Fenced code block with language label and copy-to-clipboard
+const CodeBlock = ({ children, ...props }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const codeElement = React.Children.toArray(children)[0];
+  const language = /language-([\w-]+)/.exec(codeElement?.props?.className || '')?.[1];
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.innerText || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), COPY_FEEDBACK_MS);
+    } catch (error) {
+      console.warn('Failed to copy code block:', error);
+    }
+  }, []);
+
+  return (
+    <div className="markdown-code-block">
+      <div className="markdown-code-header">
+        <span>{language || 'code'}</span>
+        <button
+          type="button"
+          onClick={handleCopy}
+          aria-label={copied ? 'Code copied' : 'Copy code'}
+          className="flex items-center gap-1 hover:text-jarvis-cyan transition-colors"
+        >
+          {copied ? <Check className="w-3 h-3" /> : <Copy className="w-3 h-3" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <pre ref={preRef} {...props}>{children}</pre>
+    </div>
+  );
+};
+
+// react-markdown passes the hast node to custom components; keep it off the DOM
+const omitNode = (props) => {
+  const domProps = { ...props };
+  delete domProps.node;
+  return domProps;
+};
+
+const markdownComponents = {
+  pre: (props) => <CodeBlock {...omitNode(props)} />,
+  a: (props) => <a {...omitNode(props)} target="_blank" rel="noopener noreferrer" />,
+  table: (props) => (
+    <div className="markdown-table-wrapper">
+      <table {...omitNode(props)} />
+    </div>
+  ),
+};
+
+const remarkPlugins = [remarkGfm];
+const rehypePlugins = [[rehypeHighlight, { detect: false }]];
+
+// Safe markdown renderer: raw HTML is never rendered and unsafe link protocols are stripped
+const MarkdownMessage = ({ content, className }) => (
+  <div className={cn('markdown-body text-xs leading-relaxed', className)}>
+    <ReactMarkdown
+      remarkPlugins={remarkPlugins}
+      rehypePlugins={rehypePlugins}
+      components={markdownComponents}
+    >
+      {content}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MarkdownMessage;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { Copy, Download, MoreHorizontal, Pencil, RefreshCw, Trash2 } from 'lucide-react';
+import { cn } from '../../utils/index.js';
+import {
+  ContextMenu,
+  ContextMenuContent,
+  ContextMenuItem,
+  ContextMenuSeparator,
+  ContextMenuTrigger,
+} from '../ui/context-menu.jsx';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '../ui/dropdown-menu.jsx';
+
+const menuContentClasses = 'min-w-[9rem] bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue backdrop-blur-xl shadow-[0_0_20px_rgba(0,212,255,0.3)] font-rajdhani';
+const menuItemClasses = 'text-xs focus:bg-jarvis-blue/20 focus:text-jarvis-cyan';
+
+// Build the list of actions available for a message; recordingFormat (e.g. 'WEBM') is set
+// when the message has a recording to export
+const getMessageActions = ({
+  message,
+  canEdit,
+  canRegenerate,
+  canDelete,
+  recordingFormat,
+  onCopy,
+  onEdit,
+  onRegenerate,
+  onDelete,
+  onExportRecording
+}) => [
+  { id: 'copy', label: 'Copy', icon: Copy, onSelect: () => onCopy(message), visible: Boolean(message.content) },
+  { id: 'edit', label: 'Edit & resend', icon: Pencil, onSelect: () => onEdit(message), visible: canEdit },
+  { id: 'regenerate', label: 'Regenerate', icon: RefreshCw, onSelect: () => onRegenerate(message), visible: canRegenerate },
+  { id: 'export-recording', label: `Export audio (${recordingFormat})`, icon: Download, onSelect: () => onExportRecording('original'), visible: Boolean(recordingFormat) },
+  { id: 'export-recording-wav', label: 'Export audio (WAV)', icon: Download, onSelect: () => onExportRecording('wav'), visible: Boolean(recordingFormat) && recordingFormat !== 'WAV' },
+  { id: 'delete', label: 'Delete', icon: Trash2, onSelect: () => onDelete(message), visible: canDelete, destructive: true },
+].filter(action => action.visible);
+
+const renderItems = (actions, components) => {
+  const { Item, Separator } = components;
+  return actions.map(action => (
+    <React.Fragment key={action.id}>
+      {action.destructive && actions.length > 1 && <Separator className="bg-jarvis-blue/20" />}
+      <Item
+        variant={action.destructive ? 'destructive' : 'default'}
+        onSelect={action.onSelect}
+        className={cn(menuItemClasses, action.destructive && 'text-red-400 focus:bg-red-500/20 focus:text-red-300')}
+      >
+        <action.icon className="size-3.5" />
+        {action.label}
+      </Item>
+    </React.Fragment>
+  ));
+};
+
+// Wraps a message bubble with a right-click / long-press menu and a hover menu button
+const MessageActions = ({ children, isUser, className, ...actionProps }) => {
+  const actions = getMessageActions(actionProps);
+
+  if (actions.length === 0) {
+    return <div className={className}>{children}</div>;
+  }
+
+  return (
+    <ContextMenu>
+      <ContextMenuTrigger asChild>
+        <div className={cn('group/message relative', className)}>
+          {children}
+
+          <DropdownMenu>
+            <DropdownMenuTrigger
+              aria-label="Message actions"
+              className={cn(
+                'absolute -top-2 p-0.5 rounded-full border border-jarvis-blue/40 bg-slate-950/80 text-jarvis-blue',
+                'opacity-0 group-hover/message:opacity-100 focus:opacity-100 data-[state=open]:opacity-100 transition-opacity',
+                'hover:text-jarvis-cyan hover:shadow-[0_0_10px_rgba(0,212,255,0.5)]',
+                isUser ? '-left-2' : '-right-2'
+              )}
+            >
+              <MoreHorizontal className="size-3" />
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align={isUser ? 'start' : 'end'} className={menuContentClasses}>
+              {renderItems(actions, { Item: DropdownMenuItem, Separator: DropdownMenuSeparator })}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </ContextMenuTrigger>
+      <ContextMenuContent className={menuContentClasses}>
+        {renderItems(actions, { Item: ContextMenuItem, Separator: ContextMenuSeparator })}
+      </ContextMenuContent>
+    </ContextMenu>
+  );
+};
+
+export default MessageActions;
@@ -0,0 +1,68 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Pause, Play } from 'lucide-react';
+import { cn } from '../../utils/index.js';
+
+// Only one clip plays at a time
+let activeAudio = null;
+
+// Inline playback of the part of a session recording that belongs to one message
+const RecordingPlayer = ({ clip, className }) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const audioRef = useRef(null);
+
+  const stop = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.pause();
+    URL.revokeObjectURL(audio.src);
+    audioRef.current = null;
+    if (activeAudio === audio) activeAudio = null;
+    setIsPlaying(false);
+  };
+
+  // Stop playback when the message goes away
+  useEffect(() => () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.onpause = null;
+    audio.pause();
+    URL.revokeObjectURL(audio.src);
+  }, []);
+
+  const play = () => {
+    activeAudio?.pause();
+
+    const audio = new Audio(URL.createObjectURL(clip.recording.blob));
+    audioRef.current = audio;
+    activeAudio = audio;
+
+    audio.onloadedmetadata = () => {
+      if (clip.start > 0) audio.currentTime = clip.start;
+    };
+    audio.ontimeupdate = () => {
+      if (clip.end !== null && audio.currentTime >= clip.end) stop();
+    };
+    audio.onended = stop;
+    audio.onpause = stop;
+    audio.onerror = stop;
+
+    setIsPlaying(true);
+    audio.play().catch(stop);
+  };
+
+  const label = clip.recording.source === 'speech' ? 'recorded reply' : 'recording';
+
+  return (
+    <button
+      type="button"
+      onClick={isPlaying ? stop : play}
+      aria-label={isPlaying ? `Stop ${label}` : `Play ${label}`}
+      title={isPlaying ? `Stop ${label}` : `Play ${label}`}
+      className={cn('p-0.5 rounded hover:text-jarvis-cyan', isPlaying ? 'text-red-400' : 'text-jarvis-blue/70', className)}
+    >
+      {isPlaying ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+    </button>
+  );
+};
+
+export default RecordingPlayer;
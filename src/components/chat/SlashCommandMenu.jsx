@@ -0,0 +1,54 @@
+import React from 'react';
+import { cn } from '../../utils/index.js';
+import {
+  Command,
+  CommandGroup,
+  CommandItem,
+  CommandList,
+} from '../ui/command.jsx';
+
+// Completion popover for slash commands. Focus stays in the chat input, which drives the
+// highlighted item (selectedId) with the arrow keys; clicking an item accepts it.
+const SlashCommandMenu = ({ suggestions, selectedId, onSelectedChange, onAccept, className }) => {
+  const isCommandStep = suggestions[0]?.kind === 'command';
+
+  return (
+    <Command
+      value={selectedId}
+      onValueChange={onSelectedChange}
+      shouldFilter={false}
+      loop
+      className={cn(
+        'absolute bottom-full left-0 right-0 mb-2 h-auto z-30',
+        'bg-slate-950/95 border border-jarvis-blue/40 text-jarvis-blue backdrop-blur-xl shadow-[0_0_20px_rgba(0,212,255,0.3)] font-rajdhani',
+        className
+      )}
+    >
+      <CommandList aria-label="Slash commands">
+        <CommandGroup
+          heading={isCommandStep ? 'Commands' : `/${suggestions[0]?.command.name}`}
+          className="[&_[cmdk-group-heading]]:text-jarvis-blue/60 [&_[cmdk-group-heading]]:uppercase [&_[cmdk-group-heading]]:tracking-wider"
+        >
+          {suggestions.map(suggestion => (
+            <CommandItem
+              key={suggestion.id}
+              value={suggestion.id}
+              disabled={suggestion.kind === 'hint'}
+              onSelect={() => onAccept(suggestion)}
+              // Keep focus in the chat input
+              onMouseDown={(e) => e.preventDefault()}
+              className="flex justify-between gap-3 text-xs text-jarvis-blue data-[selected=true]:bg-jarvis-blue/20 data-[selected=true]:text-jarvis-cyan"
+            >
+              <span className="font-orbitron tracking-wide">{suggestion.label}</span>
+              {suggestion.description && (
+                <span className="truncate text-jarvis-blue/60">{suggestion.description}</span>
+              )}
+            </CommandItem>
+          ))}
+        </CommandGroup>
+      </CommandList>
+    </Command>
+  );
+};
+
+export default SlashCommandMenu;
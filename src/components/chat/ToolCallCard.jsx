@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Ban, Check, ChevronRight, Loader2, ShieldQuestion, Wrench, X } from 'lucide-react';
+import { cn } from '../../utils/index.js';
+import { parseToolArguments } from '../../services/tools/index.js';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '../ui/collapsible.jsx';
+
+const STATUS_LABELS = {
+  awaiting: 'Waiting for approval',
+  running: 'Running',
+  done: 'Done',
+  error: 'Failed',
+  denied: 'Denied',
+  cancelled: 'Cancelled'
+};
+
+const SUMMARY_MAX_LENGTH = 48;
+
+// Arguments as the model sent them; unparseable ones are shown raw
+const getArguments = (call) => {
+  try {
+    return parseToolArguments(call.arguments, call.name);
+  } catch {
+    return call.arguments;
+  }
+};
+
+const toJson = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+const summarize = (args) => {
+  const text = typeof args === 'string'
+    ? args
+    : Object.values(args).map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(', ');
+  return text.length > SUMMARY_MAX_LENGTH ? `${text.slice(0, SUMMARY_MAX_LENGTH - 1)}…` : text;
+};
+
+const StatusIcon = ({ status }) => {
+  if (status === 'awaiting') return <ShieldQuestion className="size-3 animate-pulse text-jarvis-gold" />;
+  if (status === 'running') return <Loader2 className="size-3 animate-spin text-jarvis-cyan" />;
+  if (status === 'done') return <Check className="size-3 text-green-400" />;
+  if (status === 'error') return <X className="size-3 text-red-400" />;
+  if (status === 'denied') return <Ban className="size-3 text-red-400" />;
+  return <X className="size-3 text-gray-400" />;
+};
+
+// One tool invocation inside a reply: name and arguments at a glance, details on demand
+const ToolCallCard = ({ call, className }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const args = getArguments(call);
+
+  return (
+    <Collapsible
+      open={isOpen}
+      onOpenChange={setIsOpen}
+      className={cn('rounded border border-jarvis-blue/30 bg-black/30 text-xs font-rajdhani', className)}
+    >
+      <CollapsibleTrigger
+        className="flex w-full items-center gap-1.5 px-1.5 py-1 text-left text-jarvis-blue/80 hover:text-jarvis-cyan"
+        aria-label={`${call.name} tool call, ${STATUS_LABELS[call.status] || call.status}`}
+      >
+        <ChevronRight className={cn('size-3 shrink-0 transition-transform', isOpen && 'rotate-90')} />
+        <Wrench className="size-3 shrink-0" />
+        <span className="font-orbitron tracking-wide text-jarvis-cyan">{call.name}</span>
+        <span className="min-w-0 flex-1 truncate opacity-70">{summarize(args)}</span>
+        <StatusIcon status={call.status} />
+      </CollapsibleTrigger>
+      <CollapsibleContent className="space-y-1 border-t border-jarvis-blue/20 px-1.5 py-1">
+        <div>
+          <div className="uppercase tracking-wider text-[10px] text-jarvis-blue/60">Arguments</div>
+          <pre className="whitespace-pre-wrap break-all text-jarvis-blue/90">{toJson(args)}</pre>
+        </div>
+        {call.status === 'done' && (
+          <div>
+            <div className="uppercase tracking-wider text-[10px] text-jarvis-blue/60">Result</div>
+            <pre className="whitespace-pre-wrap break-all text-jarvis-blue/90">{toJson(call.result)}</pre>
+          </div>
+        )}
+        {call.status === 'error' && (
+          <div>
+            <div className="uppercase tracking-wider text-[10px] text-red-400/80">Error</div>
+            <p className="text-red-300">{call.error}</p>
+          </div>
+        )}
+        {call.status === 'awaiting' && (
+          <p className="text-jarvis-gold/90">Waiting for you to allow or deny this call.</p>
+        )}
+        {call.status === 'denied' && (
+          <p className="text-red-300">You did not allow this call.</p>
+        )}
+        {call.status === 'cancelled' && (
+          <p className="text-gray-400">The call was interrupted before it finished.</p>
+        )}
+      </CollapsibleContent>
+    </Collapsible>
+  );
+};
+
+export default ToolCallCard;
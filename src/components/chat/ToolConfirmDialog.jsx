@@ -0,0 +1,94 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { cn } from '../../utils/index.js';
+import { usePendingToolCalls } from '../../hooks/useTools.js';
+import toolPermissions, { TOOL_DECISIONS, TOOL_RISK_LEVELS } from '../../services/tools/permissions.js';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '../ui/alert-dialog.jsx';
+
+const RISK_STYLES = {
+  [TOOL_RISK_LEVELS.MEDIUM]: {
+    label: 'Medium risk',
+    className: 'text-jarvis-gold border-jarvis-gold/50'
+  },
+  [TOOL_RISK_LEVELS.HIGH]: {
+    label: 'High risk',
+    className: 'text-red-400 border-red-400/60'
+  }
+};
+
+// Asks before a risky tool call runs; one call at a time, in the order the model made them
+const ToolConfirmDialog = () => {
+  const { pending } = usePendingToolCalls();
+  const request = pending[0];
+  const risk = request && (RISK_STYLES[request.risk] || RISK_STYLES[TOOL_RISK_LEVELS.MEDIUM]);
+
+  // Escape and clicks outside count as "Deny"; the buttons have already decided by then
+  const handleOpenChange = (isOpen) => {
+    if (!isOpen && request) {
+      toolPermissions.decide(request.id, TOOL_DECISIONS.DENY);
+    }
+  };
+
+  return (
+    <AlertDialog open={!!request} onOpenChange={handleOpenChange}>
+      {request && (
+        <AlertDialogContent className="bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue shadow-[0_0_40px_rgba(0,212,255,0.3)] backdrop-blur-xl font-rajdhani sm:max-w-md">
+          <AlertDialogHeader>
+            <AlertDialogTitle className="flex items-center gap-2 font-orbitron tracking-wider text-jarvis-blue">
+              <ShieldAlert className={cn('size-5 shrink-0', risk.className)} />
+              ALLOW {request.tool.name.toUpperCase()}?
+            </AlertDialogTitle>
+            <AlertDialogDescription className="text-jarvis-blue/70">
+              JARVIS wants to run this tool. {request.tool.description}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+
+          <div className="space-y-1 text-sm">
+            <span className={cn('inline-block rounded border px-1.5 text-xs uppercase tracking-wider', risk.className)}>
+              {risk.label}
+            </span>
+            <div className="uppercase tracking-wider text-[10px] text-jarvis-blue/60">Arguments</div>
+            <pre className="max-h-40 overflow-y-auto whitespace-pre-wrap break-all rounded border border-jarvis-blue/30 bg-black/40 p-2 text-xs text-jarvis-blue/90">
+              {JSON.stringify(request.arguments, null, 2)}
+            </pre>
+            {pending.length > 1 && (
+              <p className="text-xs text-jarvis-blue/60">{pending.length - 1} more waiting after this one</p>
+            )}
+          </div>
+
+          <AlertDialogFooter>
+            <AlertDialogCancel
+              onClick={() => toolPermissions.decide(request.id, TOOL_DECISIONS.DENY)}
+              className="bg-transparent border-red-400/50 text-red-300 hover:bg-red-500/10 hover:text-red-200"
+            >
+              Deny
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => toolPermissions.decide(request.id, TOOL_DECISIONS.ALWAYS_ALLOW)}
+              className="bg-transparent border border-jarvis-blue/50 text-jarvis-blue hover:bg-jarvis-blue/10"
+            >
+              Always allow in this chat
+            </AlertDialogAction>
+            <AlertDialogAction
+              onClick={() => toolPermissions.decide(request.id, TOOL_DECISIONS.ALLOW)}
+              className="bg-jarvis-blue/20 border border-jarvis-cyan/60 text-jarvis-cyan hover:bg-jarvis-blue/30"
+            >
+              Allow once
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      )}
+    </AlertDialog>
+  );
+};
+
+export default ToolConfirmDialog;
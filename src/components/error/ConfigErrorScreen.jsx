@@ -0,0 +1,58 @@
+import React from 'react';
+
+// Shown instead of the app when runtime configuration is missing or invalid
+const ConfigErrorScreen = ({ error }) => {
+  const problems = error?.problems?.length ? error.problems : [error?.message || 'Unknown configuration error'];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 flex items-center justify-center p-6">
+      <div className="holographic-container max-w-lg w-full p-8 space-y-6" role="alert">
+        <div className="text-center space-y-2">
+          <div className="w-16 h-16 mx-auto rounded-full bg-red-500/20 flex items-center justify-center">
+            <svg
+              className="w-8 h-8 text-red-400"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"
+              />
+            </svg>
+          </div>
+          <h1 className="text-2xl font-orbitron font-bold text-red-400">
+            Configuration Error
+          </h1>
+          <p className="text-red-300/80 font-rajdhani">
+            {error?.message || 'JARVIS could not start.'}
+          </p>
+        </div>
+
+        <ul className="p-4 bg-red-500/10 border border-red-500/20 rounded-lg space-y-2 text-sm text-red-300 font-rajdhani list-disc list-inside">
+          {problems.map(problem => (
+            <li key={problem}>{problem}</li>
+          ))}
+        </ul>
+
+        <div className="text-xs text-jarvis-blue/70 font-rajdhani space-y-1">
+          <p>Configuration is read from, in order of precedence:</p>
+          <p>
+            <code>?agentId=</code> URL parameters, <code>/config.json</code>, then <code>VITE_*</code> env vars (see <code>.env.example</code>).
+          </p>
+        </div>
+
+        <button
+          onClick={() => window.location.reload()}
+          className="w-full px-4 py-3 bg-jarvis-blue/20 text-jarvis-blue border border-jarvis-blue/30 rounded-lg hover:bg-jarvis-blue/30 transition-all duration-300 font-rajdhani font-semibold"
+        >
+          Reload
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConfigErrorScreen;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { History } from 'lucide-react';
+import { useError } from '../../contexts/ErrorContext.jsx';
+import { useCommandPalette } from '../../hooks/useCommandPalette.js';
+import { useShortcut, useShortcuts } from '../../hooks/useShortcuts.js';
+import commandPalette from '../../services/commands/palette.js';
+import { formatKeys } from '../../services/shortcuts.js';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog.jsx';
+import {
+  Command,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandShortcut,
+} from '../ui/command.jsx';
+
+// Groups are listed in this order; any other group follows in registration order
+const GROUP_ORDER = ['Chat', 'Conversations', 'Voice', 'View', 'Theme'];
+const DEFAULT_GROUP = 'Other';
+
+const groupActions = (actions) => {
+  const groups = new Map(GROUP_ORDER.map(group => [group, []]));
+  actions.forEach((action) => {
+    const group = action.group || DEFAULT_GROUP;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(action);
+  });
+  return [...groups].filter(([, groupActions]) => groupActions.length > 0);
+};
+
+const PaletteItem = ({ action, value, shortcut, onRun }) => {
+  const Icon = action.icon;
+  return (
+    <CommandItem
+      value={value}
+      keywords={[action.title, ...(action.keywords || []), action.group || DEFAULT_GROUP]}
+      onSelect={() => onRun(action)}
+      className="text-jarvis-blue data-[selected=true]:bg-jarvis-blue/20 data-[selected=true]:text-jarvis-cyan [&_svg:not([class*='text-'])]:text-jarvis-blue/70"
+    >
+      {Icon && <Icon />}
+      <span className="truncate">{action.title}</span>
+      {shortcut && (
+        <CommandShortcut className="text-jarvis-blue/50 font-orbitron">{shortcut}</CommandShortcut>
+      )}
+    </CommandItem>
+  );
+};
+
+// App-wide command palette (Ctrl/Cmd + K). Actions come from components through
+// usePaletteActions; cmdk ranks them with its fuzzy matcher.
+const CommandPalette = () => {
+  const { handleError } = useError();
+  const { isOpen, actions, recentIds, setOpen, toggle } = useCommandPalette();
+  const { enabled: areShortcutsEnabled, shortcuts } = useShortcuts();
+  const [search, setSearch] = useState('');
+
+  // Handled keys are preventDefault-ed, which also keeps the browser's own search bar shut
+  useShortcut({
+    id: 'palette.toggle',
+    description: 'Open the command palette',
+    keys: 'mod+k',
+    allowInInput: true,
+    onPress: toggle
+  });
+
+  // Actions name a shortcut by id (shortcutId) so remapped keys show up, or give display text
+  const getShortcutLabel = (action) => {
+    if (!action.shortcutId) return action.shortcut;
+    if (!areShortcutsEnabled) return null;
+    const keys = shortcuts.find(shortcut => shortcut.id === action.shortcutId)?.keys;
+    return keys ? formatKeys(keys) : null;
+  };
+
+  // Start from an empty search each time
+  useEffect(() => {
+    if (!isOpen) setSearch('');
+  }, [isOpen]);
+
+  const groups = useMemo(() => groupActions(actions), [actions]);
+  const recentActions = useMemo(
+    () => recentIds.map(id => actions.find(action => action.id === id)).filter(Boolean),
+    [actions, recentIds]
+  );
+
+  const runAction = async (action) => {
+    try {
+      await commandPalette.run(action.id);
+    } catch (error) {
+      if (error.name === 'CommandError') {
+        toast.error(error.message);
+      } else {
+        handleError(error, `Running "${action.title}"`);
+      }
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={setOpen}>
+      <DialogContent className="overflow-hidden p-0 bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue shadow-[0_0_40px_rgba(0,212,255,0.3)] backdrop-blur-xl font-rajdhani [&>button]:text-jarvis-blue">
+        <DialogHeader className="sr-only">
+          <DialogTitle>Command palette</DialogTitle>
+          <DialogDescription>Search for an action to run</DialogDescription>
+        </DialogHeader>
+        <Command
+          loop
+          className="bg-transparent text-jarvis-blue [&_[cmdk-group-heading]]:text-jarvis-blue/60 [&_[cmdk-group-heading]]:uppercase [&_[cmdk-group-heading]]:tracking-wider [&_[cmdk-item]]:py-2.5"
+        >
+          <CommandInput
+            value={search}
+            onValueChange={setSearch}
+            placeholder="Search actions..."
+            className="text-jarvis-cyan placeholder:text-jarvis-blue/50"
+          />
+          <CommandList className="max-h-[360px]">
+            <CommandEmpty className="text-jarvis-blue/60">No matching actions</CommandEmpty>
+
+            {/* Recent actions only make sense before anything has been typed */}
+            {!search && recentActions.length > 0 && (
+              <CommandGroup heading="Recent">
+                {recentActions.map(action => (
+                  <PaletteItem
+                    key={action.id}
+                    action={{ ...action, icon: action.icon || History }}
+                    value={`recent:${action.id}`}
+                    shortcut={getShortcutLabel(action)}
+                    onRun={runAction}
+                  />
+                ))}
+              </CommandGroup>
+            )}
+
+            {groups.map(([group, groupActions]) => (
+              <CommandGroup key={group} heading={group}>
+                {groupActions.map(action => (
+                  <PaletteItem
+                    key={action.id}
+                    action={action}
+                    value={action.id}
+                    shortcut={getShortcutLabel(action)}
+                    onRun={runAction}
+                  />
+                ))}
+              </CommandGroup>
+            ))}
+          </CommandList>
+        </Command>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CommandPalette;
@@ -1,8 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Bug, Palette, Settings } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { cn } from '../../utils/index.js';
 import ChatWindow from '../chat/ChatWindow.jsx';
+import ConversationSidebar from '../chat/ConversationSidebar.jsx';
+import { SidebarProvider, SidebarTrigger } from '../ui/sidebar.jsx';
+import SettingsDialog from '../settings/SettingsDialog.jsx';
+import { useSettings } from '../../contexts/SettingsContext.jsx';
 import ElevenLabsWidget from '../voice/ElevenLabsWidget.jsx';
+import DebugPanel from '../debug/DebugPanel.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import ShortcutCheatSheet from './ShortcutCheatSheet.jsx';
+import { usePaletteActions } from '../../hooks/useCommandPalette.js';
+import { THEMES, THEME_LABELS } from '../../types/index.js';
 import ironManVideo from '../../assets/IronmanWEBM.webm';
 
 const HeroVideo = ({ className, onLoadingChange }) => {
@@ -101,9 +111,47 @@ const MainLayout = ({
   children,
   className
 }) => {
-  const [isVideoLoading, setIsVideoLoading] = useState(true);
+  const { settings, updateSettings } = useSettings();
+  const [isVideoLoading, setIsVideoLoading] = useState(settings.backgroundVideo);
   const [isVoiceActive, setIsVoiceActive] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isDebugPanelOpen, setIsDebugPanelOpen] = useState(false);
+
+  // Nothing to wait for once the video is switched off
+  useEffect(() => {
+    if (!settings.backgroundVideo) {
+      setIsVideoLoading(false);
+    }
+  }, [settings.backgroundVideo]);
   
+  const paletteActions = useMemo(() => [
+    {
+      id: 'view.settings',
+      title: 'Open settings',
+      group: 'View',
+      icon: Settings,
+      keywords: ['preferences', 'options'],
+      perform: () => setIsSettingsOpen(true)
+    },
+    {
+      id: 'view.debug',
+      title: isDebugPanelOpen ? 'Close debug panel' : 'Open debug panel',
+      group: 'View',
+      icon: Bug,
+      keywords: ['diagnostics', 'tests', 'logs'],
+      perform: () => setIsDebugPanelOpen(open => !open)
+    },
+    ...THEMES.filter(theme => theme !== settings.theme).map(theme => ({
+      id: `theme.${theme}`,
+      title: `Switch theme to ${THEME_LABELS[theme]}`,
+      group: 'Theme',
+      icon: Palette,
+      keywords: ['colour', 'color', 'appearance'],
+      perform: () => updateSettings({ theme })
+    }))
+  ], [isDebugPanelOpen, settings.theme, updateSettings]);
+  usePaletteActions(paletteActions);
+
   // Handle voice state changes from chat window
   const handleVoiceStateChange = (isActive) => {
     setIsVoiceActive(isActive);
@@ -116,100 +164,124 @@ const MainLayout = ({
       className
     )}>
       {/* Background video */}
-      <HeroVideo
-        className="absolute inset-0 z-0"
-        onLoadingChange={setIsVideoLoading}
-      />
+      {settings.backgroundVideo && (
+        <HeroVideo
+          className="absolute inset-0 z-0"
+          onLoadingChange={setIsVideoLoading}
+        />
+      )}
 
-      {/* Main content area */}
-      <div className="relative z-10 h-screen flex flex-col">
-        {/* Header area */}
-        <motion.header
-          initial={{ opacity: 0, y: -50 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ duration: 0.8, delay: 0.2 }}
-          className="flex-shrink-0 p-3"
-        >
-          <div className="text-center space-y-1">
-            <motion.h1
-              className="holographic-text text-2xl md:text-3xl font-bold tracking-wider"
-              animate={isVoiceActive ? {
-                textShadow: [
-                  '0 0 10px rgba(0, 212, 255, 0.5)',
-                  '0 0 20px rgba(255, 0, 100, 0.8)',
-                  '0 0 10px rgba(0, 212, 255, 0.5)'
-                ]
-              } : {}}
-              transition={{ duration: 1, repeat: isVoiceActive ? Infinity : 0 }}
-            >
-              JARVIS
-            </motion.h1>
-            <motion.p
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              transition={{ delay: 0.5 }}
-              className="text-jarvis-blue/70 font-rajdhani text-sm tracking-wide"
-            >
-              Just A Rather Very Intelligent System
-            </motion.p>
-          </div>
-        </motion.header>
+      {/* Conversation sidebar + main content */}
+      <SidebarProvider defaultOpen={false} className="relative z-10 h-screen min-h-0">
+        <ConversationSidebar />
 
         {/* Main content area */}
-        <main className="flex-1 flex items-center justify-center p-3">
-          <motion.div
-            initial={{ opacity: 0, y: 100 }}
+        <div className="relative flex-1 min-w-0 h-screen flex flex-col">
+          {/* Header area */}
+          <motion.header
+            initial={{ opacity: 0, y: -50 }}
             animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.8, delay: 0.4 }}
-            className="relative"
+            transition={{ duration: 0.8, delay: 0.2 }}
+            className="relative flex-shrink-0 p-3"
           >
-            {/* Chat window */}
-            <ChatWindow
-              onVoiceStateChange={handleVoiceStateChange}
-              className={cn(
-                'transition-all duration-300',
-                isVoiceActive && 'shadow-red-500/30 shadow-2xl scale-105'
-              )}
+            {/* Conversation sidebar toggle */}
+            <SidebarTrigger
+              className="absolute top-3 left-3 text-jarvis-blue border border-jarvis-blue/40 bg-black/30 backdrop-blur-sm hover:bg-jarvis-blue/20 hover:text-jarvis-cyan"
+              aria-label="Toggle conversation history"
             />
+
+            {/* Settings */}
+            <button
+              type="button"
+              onClick={() => setIsSettingsOpen(true)}
+              aria-label="Open settings"
+              className="absolute top-3 right-3 z-10 p-1.5 rounded-md text-jarvis-blue border border-jarvis-blue/40 bg-black/30 backdrop-blur-sm hover:bg-jarvis-blue/20 hover:text-jarvis-cyan transition-colors"
+            >
+              <Settings className="size-4" />
+            </button>
+
+            <div className="text-center space-y-1">
+              <motion.h1
+                className="holographic-text text-2xl md:text-3xl font-bold tracking-wider"
+                animate={isVoiceActive ? {
+                  textShadow: [
+                    '0 0 10px rgba(0, 212, 255, 0.5)',
+                    '0 0 20px rgba(255, 0, 100, 0.8)',
+                    '0 0 10px rgba(0, 212, 255, 0.5)'
+                  ]
+                } : {}}
+                transition={{ duration: 1, repeat: isVoiceActive ? Infinity : 0 }}
+              >
+                JARVIS
+              </motion.h1>
+              <motion.p
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ delay: 0.5 }}
+                className="text-jarvis-blue/70 font-rajdhani text-sm tracking-wide"
+              >
+                Just A Rather Very Intelligent System
+              </motion.p>
+            </div>
+          </motion.header>
+
+          {/* Main content area */}
+          <main className="flex-1 flex items-center justify-center p-3">
+            <motion.div
+              initial={{ opacity: 0, y: 100 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.8, delay: 0.4 }}
+              className="relative"
+            >
+              {/* Chat window */}
+              <ChatWindow
+                onVoiceStateChange={handleVoiceStateChange}
+                onToggleDebugPanel={() => setIsDebugPanelOpen(open => !open)}
+                className={cn(
+                  'transition-all duration-300',
+                  isVoiceActive && 'shadow-red-500/30 shadow-2xl scale-105'
+                )}
+              />
             
-            {/* Voice activity indicator ring */}
-            <AnimatePresence>
-              {isVoiceActive && (
-                <motion.div
-                  initial={{ opacity: 0, scale: 0.8 }}
-                  animate={{ 
-                    opacity: [0.5, 1, 0.5], 
-                    scale: [1, 1.05, 1],
-                    rotate: [0, 360]
-                  }}
-                  exit={{ opacity: 0, scale: 0.8 }}
-                  transition={{ 
-                    duration: 2, 
-                    repeat: Infinity,
-                    ease: 'easeInOut'
-                  }}
-                  className="absolute -inset-6 rounded-2xl border-2 border-red-400/50 pointer-events-none"
-                  style={{
-                    background: 'radial-gradient(circle, rgba(255,0,100,0.1) 0%, transparent 70%)',
-                    boxShadow: '0 0 30px rgba(255, 0, 100, 0.5)'
-                  }}
-                />
-              )}
-            </AnimatePresence>
-          </motion.div>
-        </main>
+              {/* Voice activity indicator ring */}
+              <AnimatePresence>
+                {isVoiceActive && (
+                  <motion.div
+                    initial={{ opacity: 0, scale: 0.8 }}
+                    animate={{ 
+                      opacity: [0.5, 1, 0.5], 
+                      scale: [1, 1.05, 1],
+                      rotate: [0, 360]
+                    }}
+                    exit={{ opacity: 0, scale: 0.8 }}
+                    transition={{ 
+                      duration: 2, 
+                      repeat: Infinity,
+                      ease: 'easeInOut'
+                    }}
+                    className="absolute -inset-6 rounded-2xl border-2 border-red-400/50 pointer-events-none"
+                    style={{
+                      background: 'radial-gradient(circle, rgba(255,0,100,0.1) 0%, transparent 70%)',
+                      boxShadow: '0 0 30px rgba(255, 0, 100, 0.5)'
+                    }}
+                  />
+                )}
+              </AnimatePresence>
+            </motion.div>
+          </main>
 
-        {/* Footer area */}
-        <motion.footer
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          transition={{ delay: 1 }}
-          className="flex-shrink-0 p-2 text-center"
-        >
-          <div className="text-xs text-jarvis-blue/50 font-rajdhani">
-          </div>
-        </motion.footer>
-      </div>
+          {/* Footer area */}
+          <motion.footer
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 1 }}
+            className="flex-shrink-0 p-2 text-center"
+          >
+            <div className="text-xs text-jarvis-blue/50 font-rajdhani">
+            </div>
+          </motion.footer>
+        </div>
+      </SidebarProvider>
 
       {/* Loading overlay for entire interface */}
       <AnimatePresence>
@@ -245,7 +317,7 @@ const MainLayout = ({
 
       {/* Ambient particle effects */}
       <div className="absolute inset-0 z-0 pointer-events-none">
-        {Array.from({ length: 30 }).map((_, i) => (
+        {settings.motionLevel !== 'off' && Array.from({ length: settings.particleCount }).map((_, i) => (
           <motion.div
             key={i}
             className="particle absolute"
@@ -268,6 +340,11 @@ const MainLayout = ({
         ))}
       </div>
 
+      <SettingsDialog open={isSettingsOpen} onOpenChange={setIsSettingsOpen} />
+      <DebugPanel isVisible={isDebugPanelOpen} onToggle={() => setIsDebugPanelOpen(false)} />
+      <CommandPalette />
+      <ShortcutCheatSheet onOpenSettings={() => setIsSettingsOpen(true)} />
+
       {/* Additional children content */}
       {children}
     </div>
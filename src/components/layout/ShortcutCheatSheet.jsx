@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+import { AlertTriangle, Keyboard } from 'lucide-react';
+import { useShortcut, useShortcuts } from '../../hooks/useShortcuts.js';
+import { usePaletteActions } from '../../hooks/useCommandPalette.js';
+import { formatKeys, SHORTCUT_SCOPES } from '../../services/shortcuts.js';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog.jsx';
+
+const SCOPE_LABELS = {
+  global: 'Anywhere',
+  chat: 'Chat',
+  dialog: 'In dialogs'
+};
+
+// Every registered shortcut with its current keys, opened with "?"
+const ShortcutCheatSheet = ({ onOpenSettings }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { enabled, shortcuts, conflicts } = useShortcuts();
+
+  useShortcut({
+    id: 'help.shortcuts',
+    description: 'Show keyboard shortcuts',
+    keys: '?',
+    onPress: () => setIsOpen(open => !open)
+  });
+
+  const paletteActions = useMemo(() => [{
+    id: 'view.shortcuts',
+    title: 'Show keyboard shortcuts',
+    group: 'View',
+    icon: Keyboard,
+    keywords: ['keys', 'hotkeys', 'help', 'cheat sheet'],
+    shortcutId: 'help.shortcuts',
+    perform: () => setIsOpen(true)
+  }], []);
+  usePaletteActions(paletteActions);
+
+  const getTitle = (id) => shortcuts.find(shortcut => shortcut.id === id)?.description || id;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={setIsOpen}>
+      <DialogContent className="bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue shadow-[0_0_40px_rgba(0,212,255,0.3)] backdrop-blur-xl font-rajdhani sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="font-orbitron tracking-wider text-jarvis-blue">KEYBOARD SHORTCUTS</DialogTitle>
+          <DialogDescription className="text-jarvis-blue/60">
+            {enabled ? 'Keys can be changed under Settings → Shortcuts.' : 'Keyboard shortcuts are turned off in Settings.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="max-h-[60vh] overflow-y-auto space-y-4 pr-1">
+          {SHORTCUT_SCOPES.map((scope) => {
+            const scopeShortcuts = shortcuts.filter(shortcut => shortcut.scope === scope);
+            if (scopeShortcuts.length === 0) return null;
+
+            return (
+              <section key={scope} className="space-y-1">
+                <h3 className="text-xs uppercase tracking-wider text-jarvis-blue/60">{SCOPE_LABELS[scope]}</h3>
+                <ul className="space-y-1 text-sm">
+                  {scopeShortcuts.map(shortcut => (
+                    <li key={shortcut.id} className="flex items-center justify-between gap-4">
+                      <span className="flex items-center gap-1.5 text-jarvis-blue/80">
+                        {conflicts[shortcut.id] && (
+                          <AlertTriangle
+                            className="size-3.5 text-amber-400"
+                            aria-label={`Same keys as ${conflicts[shortcut.id].map(getTitle).join(', ')}`}
+                          />
+                        )}
+                        {shortcut.description}
+                      </span>
+                      <kbd className="shrink-0 px-1.5 rounded border border-jarvis-blue/40 bg-black/40 text-xs text-jarvis-cyan">
+                        {formatKeys(shortcut.keys)}
+                      </kbd>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            );
+          })}
+
+          <p className="text-xs text-jarvis-blue/60">
+            Type <kbd className="px-1 rounded border border-jarvis-blue/40 bg-black/40 text-jarvis-cyan">/</kbd> in the chat input for slash commands.
+          </p>
+        </div>
+
+        {onOpenSettings && (
+          <button
+            type="button"
+            onClick={() => {
+              setIsOpen(false);
+              onOpenSettings();
+            }}
+            className="justify-self-start text-xs text-jarvis-blue/60 hover:text-jarvis-cyan underline-offset-2 hover:underline"
+          >
+            Change shortcuts
+          </button>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ShortcutCheatSheet;
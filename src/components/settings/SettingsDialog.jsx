@@ -0,0 +1,638 @@
+import React, { useState } from 'react';
+import { DEFAULT_WAKE_PHRASE, MOTION_LEVELS, TALK_MODES, THEMES, THEME_LABELS, TIMESTAMP_FORMATS } from '../../types/index.js';
+import { cn, formatTimestamp, validateAgentId } from '../../utils/index.js';
+import { getChatProviderIds } from '../../services/chat/index.js';
+import { useConfig } from '../../contexts/ConfigContext.jsx';
+import { useSettings } from '../../contexts/SettingsContext.jsx';
+import { useSpeechVoices } from '../../hooks/useSpeechSynthesis.js';
+import { useMicrophoneDevices } from '../../hooks/useMicrophoneDevices.js';
+import { useShortcuts } from '../../hooks/useShortcuts.js';
+import { useTools } from '../../hooks/useTools.js';
+import { getToolRisk, TOOL_RISK_LEVELS } from '../../services/tools/permissions.js';
+import shortcutManager, { formatKeys, getEventKeys } from '../../services/shortcuts.js';
+import speechQueue from '../../services/tts/speechQueue.js';
+import { isSpeechRecognitionSupported } from '../../services/voice/speechRecognition.js';
+import voiceRecorder from '../../services/voice/voiceRecorder.js';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog.jsx';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs.jsx';
+import { Switch } from '../ui/switch.jsx';
+import { Slider } from '../ui/slider.jsx';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../ui/select.jsx';
+
+const MAX_PARTICLES = 60;
+
+const MOTION_LABELS = {
+  off: 'Off',
+  reduced: 'Reduced',
+  full: 'Full'
+};
+
+const TIMESTAMP_LABELS = {
+  '12h': '12-hour',
+  '24h': '24-hour',
+  relative: 'Relative'
+};
+
+const SPEECH_LANGUAGES = {
+  'en-US': 'English (US)',
+  'en-GB': 'English (UK)',
+  'es-ES': 'Español',
+  'fr-FR': 'Français',
+  'de-DE': 'Deutsch',
+  'it-IT': 'Italiano',
+  'pt-BR': 'Português (BR)',
+  'ja-JP': '日本語',
+  'zh-CN': '中文 (简体)',
+  'hi-IN': 'हिन्दी'
+};
+
+const TALK_MODE_LABELS = {
+  toggle: 'Toggle',
+  push: 'Push-to-talk'
+};
+
+const TTS_ENGINE_LABELS = {
+  browser: 'Browser',
+  http: 'TTS server'
+};
+
+// Radix Select items can't have an empty value
+const DEFAULT_VOICE = 'default';
+
+const AUDIO_PROCESSING = [
+  { key: 'echoCancellation', label: 'Echo cancellation', description: 'Keep JARVIS\'s own voice out of the microphone' },
+  { key: 'noiseSuppression', label: 'Noise suppression', description: 'Filter steady background noise' },
+  { key: 'autoGainControl', label: 'Automatic gain', description: 'Even out quiet and loud speech' }
+];
+const VOICE_PREVIEW_TEXT = 'Good evening. All systems are online.';
+
+const selectContentClasses = 'bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue font-rajdhani';
+const inputClasses = 'w-full rounded-md bg-black/40 border border-jarvis-blue/40 px-2 py-1.5 text-sm text-jarvis-cyan placeholder:text-jarvis-blue/40 focus:outline-none focus:border-jarvis-cyan/70';
+
+// Label + description on the left, control on the right
+const SettingRow = ({ id, label, description, children }) => (
+  <div className="flex items-center justify-between gap-4 py-2">
+    <div className="space-y-0.5">
+      <label htmlFor={id} className="text-sm font-semibold text-jarvis-cyan">{label}</label>
+      {description && <p className="text-xs text-jarvis-blue/60">{description}</p>}
+    </div>
+    {children}
+  </div>
+);
+
+const AgentIdField = ({ value, defaultValue, onChange }) => {
+  const [draft, setDraft] = useState(value || '');
+  const [error, setError] = useState(null);
+
+  const commit = () => {
+    const agentId = draft.trim();
+    if (agentId && !validateAgentId(agentId)) {
+      setError('Agent IDs look like agent_xxxxxxxx');
+      return;
+    }
+    setError(null);
+    onChange(agentId || null);
+  };
+
+  return (
+    <div className="space-y-1 py-2">
+      <label htmlFor="settings-agent-id" className="text-sm font-semibold text-jarvis-cyan">ElevenLabs agent</label>
+      <input
+        id="settings-agent-id"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        placeholder={defaultValue}
+        spellCheck={false}
+        aria-invalid={Boolean(error)}
+        className={cn(inputClasses, error && 'border-red-400/70')}
+      />
+      <p className={cn('text-xs', error ? 'text-red-300' : 'text-jarvis-blue/60')}>
+        {error || (defaultValue
+          ? 'Leave empty to use this deployment\'s agent.'
+          : 'No agent is configured for this deployment; the voice widget stays off until you add one.')}
+      </p>
+    </div>
+  );
+};
+
+const WakePhraseField = ({ value, disabled, onChange }) => {
+  const [draft, setDraft] = useState(value);
+
+  const commit = () => {
+    const wakePhrase = draft.trim().replace(/\s+/g, ' ') || DEFAULT_WAKE_PHRASE;
+    setDraft(wakePhrase);
+    onChange(wakePhrase);
+  };
+
+  return (
+    <SettingRow id="settings-wake-phrase" label="Wake phrase" description="Say it, then your request">
+      <input
+        id="settings-wake-phrase"
+        value={draft}
+        disabled={disabled}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        placeholder={DEFAULT_WAKE_PHRASE}
+        spellCheck={false}
+        className={cn(inputClasses, 'w-36 disabled:opacity-50')}
+      />
+    </SettingRow>
+  );
+};
+
+// There is no device picker: speech recognition and the ElevenLabs widget can only listen
+// through the system default input, so the level meter, silence detection and recordings stay
+// on it too rather than hearing a different microphone from the one being transcribed
+const MicrophoneSettings = ({ settings, updateSettings }) => {
+  const { devices, activeDeviceId } = useMicrophoneDevices();
+  const activeDevice = devices.find(device => device.id === activeDeviceId && device.hasLabel);
+
+  return (
+    <>
+      <div className="space-y-0.5 py-2">
+        <p className="text-sm font-semibold text-jarvis-cyan">Microphone</p>
+        <p className="text-xs text-jarvis-blue/60">
+          {activeDevice ? `In use: ${activeDevice.label}. ` : ''}
+          JARVIS always listens through your system's default input. To talk through another
+          microphone, make it the default in your system's sound settings.
+        </p>
+      </div>
+      {AUDIO_PROCESSING.map(({ key, label, description }) => (
+        <SettingRow key={key} id={`settings-${key}`} label={label} description={description}>
+          <Switch
+            id={`settings-${key}`}
+            checked={settings[key]}
+            onCheckedChange={(checked) => updateSettings({ [key]: checked })}
+          />
+        </SettingRow>
+      ))}
+      <SettingRow
+        id="settings-record-voice"
+        label="Record voice sessions"
+        description={voiceRecorder.isSupported()
+          ? 'Keep your side of voice turns, and spoken replies from audio engines, with each conversation on this device'
+          : 'Recording is not supported in this browser'}
+      >
+        <Switch
+          id="settings-record-voice"
+          checked={settings.recordVoice}
+          disabled={!voiceRecorder.isSupported()}
+          onCheckedChange={(checked) => updateSettings({ recordVoice: checked })}
+        />
+      </SettingRow>
+    </>
+  );
+};
+
+// Registered shortcuts with their keys. "Change" listens for the next key combination;
+// Backspace unbinds and Esc cancels. Combinations already in use are refused.
+const ShortcutSettings = ({ settings, updateSettings, recordingId, onRecordingChange }) => {
+  const { shortcuts, conflicts } = useShortcuts();
+  const [recordingError, setRecordingError] = useState(null);
+
+  const getDescription = (id) => shortcuts.find(shortcut => shortcut.id === id)?.description || id;
+
+  const setBinding = (shortcut, keys) => {
+    const { [shortcut.id]: _previous, ...bindings } = settings.shortcutBindings;
+    updateSettings({
+      shortcutBindings: keys === shortcut.defaultKeys ? bindings : { ...bindings, [shortcut.id]: keys }
+    });
+  };
+
+  const startRecording = (id) => {
+    setRecordingError(null);
+    onRecordingChange(id);
+  };
+
+  const handleRecordKeyDown = (shortcut) => (e) => {
+    // Keep the keys away from the shortcuts themselves and from the dialog
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      onRecordingChange(null);
+      return;
+    }
+    if (e.key === 'Backspace') {
+      setBinding(shortcut, null);
+      onRecordingChange(null);
+      return;
+    }
+
+    const keys = getEventKeys(e);
+    if (!keys) return;
+
+    const [conflict] = shortcutManager.findConflicts(shortcut.id, keys);
+    if (conflict) {
+      setRecordingError(`${formatKeys(keys)} is already used by "${conflict.description}"`);
+      return;
+    }
+    setBinding(shortcut, keys);
+    onRecordingChange(null);
+  };
+
+  return (
+    <>
+      <ul className={cn('space-y-1.5 text-sm', !settings.keyboardShortcuts && 'opacity-40')}>
+        {shortcuts.map((shortcut) => {
+          const isRecording = recordingId === shortcut.id;
+          return (
+            <li key={shortcut.id} className="space-y-0.5">
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-jarvis-blue/70">{shortcut.description}</span>
+                <div className="flex shrink-0 items-center gap-1.5">
+                  <button
+                    type="button"
+                    onClick={() => (isRecording ? onRecordingChange(null) : startRecording(shortcut.id))}
+                    onKeyDown={isRecording ? handleRecordKeyDown(shortcut) : undefined}
+                    onBlur={isRecording ? () => onRecordingChange(null) : undefined}
+                    disabled={!settings.keyboardShortcuts}
+                    aria-label={`Change shortcut for ${shortcut.description}`}
+                    className={cn(
+                      'min-w-20 px-1.5 rounded border bg-black/40 text-xs text-jarvis-cyan',
+                      isRecording ? 'border-jarvis-cyan animate-pulse' : 'border-jarvis-blue/40 hover:bg-jarvis-blue/20'
+                    )}
+                  >
+                    {isRecording ? 'Press keys...' : formatKeys(shortcut.keys)}
+                  </button>
+                  {shortcut.isCustom && (
+                    <button
+                      type="button"
+                      onClick={() => setBinding(shortcut, shortcut.defaultKeys)}
+                      className="text-xs text-jarvis-blue/60 hover:text-jarvis-cyan"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+              </div>
+              {isRecording && (
+                <p className={cn('text-xs', recordingError ? 'text-red-400' : 'text-jarvis-blue/50')}>
+                  {recordingError || 'Backspace to unbind, Esc to cancel'}
+                </p>
+              )}
+              {!isRecording && conflicts[shortcut.id] && (
+                <p className="text-xs text-amber-400">
+                  Same keys as {conflicts[shortcut.id].map(id => `"${getDescription(id)}"`).join(', ')}
+                </p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex items-center justify-between gap-4 pt-1">
+        <p className="text-xs text-jarvis-blue/50">
+          Press ? for the cheat sheet; type / in the chat input for slash commands.
+        </p>
+        {Object.keys(settings.shortcutBindings).length > 0 && (
+          <button
+            type="button"
+            onClick={() => updateSettings({ shortcutBindings: {} })}
+            className="shrink-0 text-xs text-jarvis-blue/60 hover:text-jarvis-cyan underline-offset-2 hover:underline"
+          >
+            Reset shortcuts
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+const formatToolNames = (tools) => tools.map(tool => tool.name.replace(/_/g, ' ')).join(', ');
+
+const SettingsDialog = ({ open, onOpenChange }) => {
+  const config = useConfig();
+  const { settings, chatProvider, ttsEngine, ttsEngineIds, updateSettings, resetSettings } = useSettings();
+  const voices = useSpeechVoices();
+  const [recordingShortcutId, setRecordingShortcutId] = useState(null);
+  const tools = useTools();
+  const gatedTools = tools.filter(tool => getToolRisk(tool) !== TOOL_RISK_LEVELS.LOW);
+  const motionIndex = Math.max(0, MOTION_LEVELS.indexOf(settings.motionLevel));
+
+  // Offer voices for the speech language first; show everything if none match
+  const speechLanguagePrefix = settings.speechLanguage.split('-')[0].toLowerCase();
+  const languageVoices = voices.filter(voice => voice.lang.toLowerCase().startsWith(speechLanguagePrefix));
+  const voiceOptions = languageVoices.length > 0 ? languageVoices : voices;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent
+        className="bg-slate-950/95 border-jarvis-blue/40 text-jarvis-blue shadow-[0_0_40px_rgba(0,212,255,0.3)] backdrop-blur-xl font-rajdhani sm:max-w-md"
+        // Esc while a shortcut is being recorded only cancels the recording
+        onEscapeKeyDown={(e) => {
+          if (recordingShortcutId) e.preventDefault();
+        }}
+      >
+        <DialogHeader>
+          <DialogTitle className="font-orbitron tracking-wider text-jarvis-blue">SETTINGS</DialogTitle>
+          <DialogDescription className="text-jarvis-blue/60">
+            Preferences are saved in this browser and apply immediately.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs defaultValue="assistant">
+          <TabsList className="w-full bg-black/40 border border-jarvis-blue/30">
+            {['assistant', 'voice', 'audio', 'appearance', 'shortcuts'].map(tab => (
+              <TabsTrigger
+                key={tab}
+                value={tab}
+                className="capitalize text-jarvis-blue/70 data-[state=active]:bg-jarvis-blue/20 data-[state=active]:text-jarvis-cyan"
+              >
+                {tab}
+              </TabsTrigger>
+            ))}
+          </TabsList>
+
+          <TabsContent value="assistant" className="divide-y divide-jarvis-blue/10">
+            <AgentIdField
+              key={settings.agentId || ''}
+              value={settings.agentId}
+              defaultValue={config.agentId}
+              onChange={(agentId) => updateSettings({ agentId })}
+            />
+            <SettingRow id="settings-provider" label="Chat provider" description="Backend used for typed messages">
+              <Select value={chatProvider} onValueChange={(value) => updateSettings({ chatProvider: value })}>
+                <SelectTrigger id="settings-provider" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentClasses}>
+                  {getChatProviderIds().map(id => (
+                    <SelectItem key={id} value={id}>{id}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+            <SettingRow
+              id="settings-tools"
+              label="Tools"
+              description={`Let JARVIS run tools while answering: ${formatToolNames(tools)}.${gatedTools.length > 0 ? ` It asks before using ${formatToolNames(gatedTools)}.` : ''}`}
+            >
+              <Switch
+                id="settings-tools"
+                checked={settings.toolsEnabled}
+                onCheckedChange={(toolsEnabled) => updateSettings({ toolsEnabled })}
+              />
+            </SettingRow>
+          </TabsContent>
+
+          <TabsContent value="voice" className="max-h-[60vh] overflow-y-auto pr-1 divide-y divide-jarvis-blue/10">
+            <SettingRow id="settings-voice" label="Voice" description="Show the voice widget and microphone controls">
+              <Switch
+                id="settings-voice"
+                checked={settings.voiceEnabled}
+                onCheckedChange={(voiceEnabled) => updateSettings({ voiceEnabled })}
+              />
+            </SettingRow>
+            <SettingRow id="settings-talk-mode" label="Talk mode" description={settings.talkMode === 'push' ? 'Hold Space or the mic button while speaking' : 'Press once to start, again to stop'}>
+              <Select value={settings.talkMode} onValueChange={(talkMode) => updateSettings({ talkMode })}>
+                <SelectTrigger id="settings-talk-mode" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentClasses}>
+                  {TALK_MODES.map(mode => (
+                    <SelectItem key={mode} value={mode}>{TALK_MODE_LABELS[mode]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+            <SettingRow id="settings-auto-speak" label="Auto-speak replies" description="Read JARVIS replies aloud when they finish">
+              <Switch
+                id="settings-auto-speak"
+                checked={settings.autoSpeak}
+                onCheckedChange={(autoSpeak) => updateSettings({ autoSpeak })}
+              />
+            </SettingRow>
+            {ttsEngineIds.length > 1 && (
+              <SettingRow id="settings-tts-engine" label="Speech engine" description="Where replies are turned into speech">
+                <Select value={ttsEngine} onValueChange={(engine) => updateSettings({ ttsEngine: engine, ttsVoice: null })}>
+                  <SelectTrigger id="settings-tts-engine" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className={selectContentClasses}>
+                    {ttsEngineIds.map(id => (
+                      <SelectItem key={id} value={id}>{TTS_ENGINE_LABELS[id] || id}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </SettingRow>
+            )}
+            <SettingRow id="settings-tts-voice" label="Reply voice" description="Voice used to read replies">
+              <Select
+                value={settings.ttsVoice || DEFAULT_VOICE}
+                onValueChange={(voice) => updateSettings({ ttsVoice: voice === DEFAULT_VOICE ? null : voice })}
+              >
+                <SelectTrigger id="settings-tts-voice" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentClasses}>
+                  <SelectItem value={DEFAULT_VOICE}>System default</SelectItem>
+                  {voiceOptions.map(voice => (
+                    <SelectItem key={voice.id} value={voice.id}>
+                      {voice.name}{voice.lang && ` (${voice.lang})`}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+            <SettingRow id="settings-tts-rate" label="Speaking rate" description={`${settings.ttsRate.toFixed(1)}×`}>
+              <Slider
+                id="settings-tts-rate"
+                min={0.5}
+                max={2}
+                step={0.1}
+                value={[settings.ttsRate]}
+                onValueChange={([ttsRate]) => updateSettings({ ttsRate })}
+                className="w-36"
+              />
+            </SettingRow>
+            <SettingRow id="settings-tts-pitch" label="Pitch" description={settings.ttsPitch.toFixed(1)}>
+              <Slider
+                id="settings-tts-pitch"
+                min={0}
+                max={2}
+                step={0.1}
+                value={[settings.ttsPitch]}
+                onValueChange={([ttsPitch]) => updateSettings({ ttsPitch })}
+                className="w-36"
+              />
+            </SettingRow>
+            <div className="py-2">
+              <button
+                type="button"
+                onClick={() => speechQueue.speakNow('voice-preview', VOICE_PREVIEW_TEXT)}
+                className="text-xs px-2 py-1 rounded border border-jarvis-blue/40 text-jarvis-cyan hover:bg-jarvis-blue/20"
+              >
+                Preview voice
+              </button>
+            </div>
+            <SettingRow id="settings-speech-language" label="Speech language" description="Used by browser speech recognition">
+              <Select value={settings.speechLanguage} onValueChange={(speechLanguage) => updateSettings({ speechLanguage })}>
+                <SelectTrigger id="settings-speech-language" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentClasses}>
+                  {Object.keys({ [settings.speechLanguage]: true, ...SPEECH_LANGUAGES }).map(code => (
+                    <SelectItem key={code} value={code}>{SPEECH_LANGUAGES[code] || code}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+            <SettingRow id="settings-continuous" label="Continuous listening" description="Keep browser speech recognition on between phrases">
+              <Switch
+                id="settings-continuous"
+                checked={settings.continuousListening}
+                onCheckedChange={(continuousListening) => updateSettings({ continuousListening })}
+              />
+            </SettingRow>
+            <SettingRow
+              id="settings-silence"
+              label="Stop after silence"
+              description={settings.silenceTimeout ? `End voice input after ${settings.silenceTimeout}s of silence` : 'Never stop automatically'}
+            >
+              <Slider
+                id="settings-silence"
+                min={0}
+                max={60}
+                step={5}
+                value={[settings.silenceTimeout]}
+                onValueChange={([silenceTimeout]) => updateSettings({ silenceTimeout })}
+                className="w-36"
+              />
+            </SettingRow>
+            <SettingRow
+              id="settings-hands-free"
+              label="Hands-free"
+              description={isSpeechRecognitionSupported() ? 'Listen for the wake phrase to start talking' : 'Not supported in this browser'}
+            >
+              <Switch
+                id="settings-hands-free"
+                checked={settings.handsFree}
+                disabled={!isSpeechRecognitionSupported()}
+                onCheckedChange={(handsFree) => updateSettings({ handsFree })}
+              />
+            </SettingRow>
+            <WakePhraseField
+              key={settings.wakePhrase}
+              value={settings.wakePhrase}
+              disabled={!settings.handsFree}
+              onChange={(wakePhrase) => updateSettings({ wakePhrase })}
+            />
+            <SettingRow id="settings-wake-timeout" label="Wake timeout" description={`Back to waiting after ${settings.wakeTimeout}s of silence`}>
+              <Slider
+                id="settings-wake-timeout"
+                min={3}
+                max={30}
+                step={1}
+                value={[settings.wakeTimeout]}
+                disabled={!settings.handsFree}
+                onValueChange={([wakeTimeout]) => updateSettings({ wakeTimeout })}
+                className="w-36"
+              />
+            </SettingRow>
+          </TabsContent>
+
+          <TabsContent value="audio" className="divide-y divide-jarvis-blue/10">
+            <MicrophoneSettings settings={settings} updateSettings={updateSettings} />
+          </TabsContent>
+
+          <TabsContent value="appearance" className="divide-y divide-jarvis-blue/10">
+            <SettingRow id="settings-theme" label="Theme" description="Accent colors of the interface">
+              <Select value={settings.theme} onValueChange={(theme) => updateSettings({ theme })}>
+                <SelectTrigger id="settings-theme" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentClasses}>
+                  {THEMES.map(theme => (
+                    <SelectItem key={theme} value={theme}>{THEME_LABELS[theme]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+            <SettingRow id="settings-particles" label="Particles" description={`${settings.particleCount} ambient particles`}>
+              <Slider
+                id="settings-particles"
+                min={0}
+                max={MAX_PARTICLES}
+                step={5}
+                value={[settings.particleCount]}
+                onValueChange={([particleCount]) => updateSettings({ particleCount })}
+                className="w-36"
+              />
+            </SettingRow>
+            <SettingRow id="settings-motion" label="Motion" description={MOTION_LABELS[MOTION_LEVELS[motionIndex]]}>
+              <Slider
+                id="settings-motion"
+                min={0}
+                max={MOTION_LEVELS.length - 1}
+                step={1}
+                value={[motionIndex]}
+                onValueChange={([index]) => updateSettings({ motionLevel: MOTION_LEVELS[index] })}
+                className="w-36"
+              />
+            </SettingRow>
+            <SettingRow id="settings-video" label="Background video" description="Turn off to save battery and bandwidth">
+              <Switch
+                id="settings-video"
+                checked={settings.backgroundVideo}
+                onCheckedChange={(backgroundVideo) => updateSettings({ backgroundVideo })}
+              />
+            </SettingRow>
+            <SettingRow id="settings-timestamps" label="Timestamps" description={formatTimestamp(new Date(), settings.timestampFormat)}>
+              <Select value={settings.timestampFormat} onValueChange={(timestampFormat) => updateSettings({ timestampFormat })}>
+                <SelectTrigger id="settings-timestamps" size="sm" className="w-36 border-jarvis-blue/40 text-jarvis-cyan">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className={selectContentClasses}>
+                  {TIMESTAMP_FORMATS.map(format => (
+                    <SelectItem key={format} value={format}>{TIMESTAMP_LABELS[format]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </SettingRow>
+          </TabsContent>
+
+          <TabsContent value="shortcuts" className="max-h-[60vh] overflow-y-auto pr-1 space-y-2">
+            <SettingRow id="settings-shortcuts" label="Keyboard shortcuts" description="Turn off if they clash with assistive tools">
+              <Switch
+                id="settings-shortcuts"
+                checked={settings.keyboardShortcuts}
+                onCheckedChange={(keyboardShortcuts) => updateSettings({ keyboardShortcuts })}
+              />
+            </SettingRow>
+            <ShortcutSettings
+              settings={settings}
+              updateSettings={updateSettings}
+              recordingId={recordingShortcutId}
+              onRecordingChange={setRecordingShortcutId}
+            />
+          </TabsContent>
+        </Tabs>
+
+        <button
+          type="button"
+          onClick={resetSettings}
+          className="justify-self-start text-xs text-jarvis-blue/60 hover:text-jarvis-cyan underline-offset-2 hover:underline"
+        >
+          Reset to defaults
+        </button>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SettingsDialog;
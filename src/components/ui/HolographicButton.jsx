@@ -13,6 +13,7 @@ const HolographicButton = (props) => {
     loading,
     className
   } = validateHolographicButtonProps(props);
+  const { type = 'button', style, 'aria-label': ariaLabel } = props;
 
   const baseClasses = 'holographic-button relative inline-flex items-center justify-center rounded-lg font-medium transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-jarvis-blue/50 focus:ring-offset-2 focus:ring-offset-transparent';
   
@@ -44,6 +45,9 @@ const HolographicButton = (props) => {
 
   return (
     <motion.button
+      type={type}
+      style={style}
+      aria-label={ariaLabel}
       className={buttonClasses}
       onClick={handleClick}
       disabled={disabled || loading}
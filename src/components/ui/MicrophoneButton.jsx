@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { Mic, MicOff, Loader2 } from 'lucide-react';
 import { cn } from '../../utils/index.js';
@@ -6,8 +6,12 @@ import { cn } from '../../utils/index.js';
 const MicrophoneButton = ({
   isListening = false,
   isProcessing = false,
+  level = null,
   disabled = false,
+  mode = 'toggle',
   onToggle,
+  onPressStart,
+  onPressEnd,
   className,
   size = 'medium'
 }) => {
@@ -27,6 +31,16 @@ const MicrophoneButton = ({
   };
 
   const config = sizeConfig[size] || sizeConfig.medium;
+  const isPushToTalk = mode === 'push';
+  const isPressedRef = useRef(false);
+
+  // A disabled button never sees the pointer come up, so end a hold that is still going
+  useEffect(() => {
+    if ((disabled || isProcessing) && isPressedRef.current) {
+      isPressedRef.current = false;
+      onPressEnd?.();
+    }
+  }, [disabled, isProcessing, onPressEnd]);
 
   const getButtonState = () => {
     if (disabled) return 'disabled';
@@ -48,15 +62,37 @@ const MicrophoneButton = ({
     'relative rounded-full border-2 flex items-center justify-center transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-jarvis-blue/50 focus:ring-offset-2 focus:ring-offset-transparent',
     config.button,
     stateClasses[buttonState],
+    isPushToTalk && 'touch-none select-none',
     className
   );
 
   const handleClick = () => {
-    if (!disabled && !isProcessing && onToggle) {
+    if (!isPushToTalk && !disabled && !isProcessing && onToggle) {
       onToggle();
     }
   };
 
+  // Pointer events cover mouse, pen and touch; capture keeps the release on this button
+  // even if the finger slides off it
+  const pressHandlers = isPushToTalk ? {
+    onPointerDown: (e) => {
+      if (disabled || isProcessing || e.button !== 0) return;
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      isPressedRef.current = true;
+      onPressStart?.();
+    },
+    onPointerUp: () => {
+      isPressedRef.current = false;
+      onPressEnd?.();
+    },
+    onPointerCancel: () => {
+      isPressedRef.current = false;
+      onPressEnd?.();
+    },
+    // Long-pressing on touch screens would otherwise open the context menu
+    onContextMenu: (e) => e.preventDefault()
+  } : {};
+
   const getIcon = () => {
     if (isProcessing) {
       return <Loader2 className={cn(config.icon, 'animate-spin')} />;
@@ -72,6 +108,7 @@ const MicrophoneButton = ({
   const getAriaLabel = () => {
     if (disabled) return 'Microphone disabled';
     if (isProcessing) return 'Processing voice input';
+    if (isPushToTalk) return isListening ? 'Release to stop talking' : 'Hold to talk';
     if (isListening) return 'Stop voice input';
     return 'Start voice input';
   };
@@ -80,6 +117,7 @@ const MicrophoneButton = ({
     <motion.button
       className={buttonClasses}
       onClick={handleClick}
+      {...pressHandlers}
       disabled={disabled || isProcessing}
       aria-label={getAriaLabel()}
       aria-pressed={isListening}
@@ -87,8 +125,21 @@ const MicrophoneButton = ({
       whileTap={!disabled && !isProcessing ? { scale: 0.95 } : {}}
       transition={{ duration: 0.2 }}
     >
-      {/* Background pulse effect when listening */}
-      {isListening && (
+      {/* Live input level ring when the microphone is metered */}
+      {isListening && level !== null && (
+        <motion.div
+          className="absolute inset-0 rounded-full border-2 border-red-400/60 bg-red-400/10"
+          animate={{
+            scale: 1 + level * 0.6,
+            opacity: 0.3 + level * 0.7
+          }}
+          transition={{ duration: 0.08, ease: 'linear' }}
+          aria-hidden="true"
+        />
+      )}
+
+      {/* Background pulse effect when listening without a level */}
+      {isListening && level === null && (
         <motion.div
           className="absolute inset-0 rounded-full border-2 border-red-400/30"
           animate={{
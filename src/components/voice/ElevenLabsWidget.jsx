@@ -1,124 +1,101 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useRef, useState, useSyncExternalStore } from 'react';
 import { cn } from '../../utils/index.js';
+import { createVoiceWidgetConfig, VOICE_EVENTS, VOICE_STATES } from '../../types/index.js';
+import voiceSession from '../../services/voice/voiceSession.js';
+import { createElevenLabsAdapter, WIDGET_TAG } from '../../services/voice/elevenLabsAdapter.js';
+import { loadWidgetScript } from '../../services/voice/widgetScript.js';
+import { useConfig } from '../../contexts/ConfigContext.jsx';
+
+// Widget config keys and the embed attributes they map to
+const WIDGET_ATTRIBUTES = {
+  agentId: 'agent-id',
+  variant: 'variant',
+  avatarOrbColor1: 'avatar-orb-color-1',
+  avatarOrbColor2: 'avatar-orb-color-2',
+  actionText: 'action-text',
+  startCallText: 'start-call-text',
+  endCallText: 'end-call-text'
+};
 
 const ElevenLabsWidget = ({
-  agentId = 'agent_7601k23b460aeejb2pvyfcvw6atk',
-  className,
-  onStatusChange,
-  onConversationStart,
-  onConversationEnd,
-  onError
+  agentId,
+  className
 }) => {
-  const widgetRef = useRef(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [hasError, setHasError] = useState(false);
+  const hostRef = useRef(null);
   const [isExpanded, setIsExpanded] = useState(false);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [retryCount, setRetryCount] = useState(0);
+  const { widget: scriptConfig } = useConfig();
+  const { state, error } = useSyncExternalStore(voiceSession.subscribe, voiceSession.getSnapshot);
+  const isLoading = state === VOICE_STATES.IDLE || state === VOICE_STATES.CONNECTING;
+  const hasError = state === VOICE_STATES.ERROR;
 
   useEffect(() => {
-    // Load the ElevenLabs script
-    const script = document.createElement('script');
-    script.src = 'https://unpkg.com/@elevenlabs/convai-widget-embed';
-    script.async = true;
-    script.type = 'text/javascript';
-    
-    script.onload = () => {
-      console.log('ElevenLabs script loaded successfully');
-      createWidget();
-    };
-    
-    script.onerror = (error) => {
-      console.error('Failed to load ElevenLabs script:', error);
-      setHasError(true);
-      setIsLoading(false);
-      onStatusChange?.('error');
-      onError?.('Failed to load ElevenLabs script');
-    };
+    const host = hostRef.current;
+    const widgetConfig = createVoiceWidgetConfig(agentId);
+    let adapter = null;
+    let cancelled = false;
 
-    document.head.appendChild(script);
+    // Create the widget element, then bridge its events
+    const createWidget = () => {
+      try {
+        const widgetElement = document.createElement(WIDGET_TAG);
+        Object.entries(widgetConfig).forEach(([key, value]) => {
+          widgetElement.setAttribute(WIDGET_ATTRIBUTES[key], value);
+        });
+        host.replaceChildren(widgetElement);
 
-    return () => {
-      // Cleanup script if component unmounts
-      if (script.parentNode) {
-        script.parentNode.removeChild(script);
+        adapter = createElevenLabsAdapter(widgetElement, {
+          onEvent: (event, payload) => voiceSession.dispatch(event, payload),
+          onTranscript: (transcript) => voiceSession.emitTranscript(transcript),
+          labels: widgetConfig
+        });
+        voiceSession.attach(adapter);
+      } catch (error) {
+        voiceSession.dispatch(VOICE_EVENTS.FAIL, { error });
       }
     };
-  }, []);
-
-  const createWidget = () => {
-    if (!widgetRef.current) return;
 
-    try {
-      // Wait for the custom element to be registered
-      const waitForElement = () => {
-        if (customElements.get('elevenlabs-convai')) {
-          // Create the widget element using the official embed code
-          const widgetElement = document.createElement('elevenlabs-convai');
-          widgetElement.setAttribute('agent-id', agentId);
-          
-          // Clear the container and add the widget
-          widgetRef.current.innerHTML = '';
-          widgetRef.current.appendChild(widgetElement);
+    voiceSession.dispatch(VOICE_EVENTS.LOAD);
+    setRetryCount(0);
 
-          // Set up event listeners
-          widgetElement.addEventListener('elevenlabs-widget-state', (event) => {
-            const { state } = event.detail;
-            console.log('ElevenLabs widget state:', state);
-            
-            switch (state) {
-              case 'connected':
-                setIsLoading(false);
-                setHasError(false);
-                onStatusChange?.('connected');
-                break;
-              case 'disconnected':
-                onStatusChange?.('idle');
-                onConversationEnd?.();
-                break;
-              case 'in-call':
-                onConversationStart?.();
-                break;
-              case 'listening':
-                onStatusChange?.('listening');
-                break;
-              case 'speaking':
-                onStatusChange?.('speaking');
-                break;
-              case 'error':
-                setHasError(true);
-                setIsLoading(false);
-                onStatusChange?.('error');
-                onError?.('Widget error occurred');
-                break;
-            }
-          });
-
-          console.log('ElevenLabs widget created successfully');
-        } else {
-          setTimeout(waitForElement, 100);
-        }
-      };
+    // The script loads once per page; later mounts (e.g. after the agent changed) reuse it
+    loadWidgetScript(scriptConfig, {
+      onStatus: ({ status, attempt }) => {
+        if (!cancelled && status === 'retrying') setRetryCount(attempt);
+      }
+    })
+      .then(() => {
+        if (!cancelled) createWidget();
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        voiceSession.dispatch(VOICE_EVENTS.FAIL, {
+          error,
+          details: { url: error.url, reason: error.reason, attempts: error.attempts }
+        });
+      });
 
-      waitForElement();
-    } catch (error) {
-      console.error('Failed to create widget:', error);
-      setHasError(true);
-      setIsLoading(false);
-      onStatusChange?.('error');
-      onError?.(error.message);
-    }
-  };
+    return () => {
+      cancelled = true;
+      voiceSession.detach(adapter);
+      host.replaceChildren();
+    };
+  }, [agentId, loadAttempt, scriptConfig]);
 
   return (
     <div className={cn('relative', className)}>
       {/* Compact Floating Widget */}
       <div
-        ref={widgetRef}
         className={cn(
           'w-full h-full flex items-center justify-center',
           isExpanded ? 'min-h-[200px]' : 'min-h-[48px]'
         )}
         onClick={() => setIsExpanded(!isExpanded)}
       >
+        {/* Host for the embed element, kept apart from React-rendered children */}
+        <div ref={hostRef} className="contents" />
+
         {isLoading && !hasError && (
           <div className="text-center space-y-2">
             <div className="loading-dots">
@@ -127,7 +104,7 @@ const ElevenLabsWidget = ({
               <div className="loading-dot bg-white w-2 h-2" />
             </div>
             <p className="text-xs text-white/70 font-rajdhani">
-              Loading...
+              {retryCount > 0 ? `Retrying (${retryCount})...` : 'Loading...'}
             </p>
           </div>
         )}
@@ -137,15 +114,13 @@ const ElevenLabsWidget = ({
             <div className="w-6 h-6 mx-auto rounded-full bg-red-500/20 flex items-center justify-center">
               <div className="w-3 h-3 rounded-full bg-red-500" />
             </div>
-            <p className="text-xs text-red-300 font-rajdhani">
+            <p className="text-xs text-red-300 font-rajdhani" title={error?.message}>
               Error
             </p>
             <button
               onClick={(e) => {
                 e.stopPropagation();
-                setHasError(false);
-                setIsLoading(true);
-                window.location.reload();
+                setLoadAttempt(attempt => attempt + 1);
               }}
               className="px-2 py-1 text-xs bg-white/20 text-white rounded border border-white/30 hover:bg-white/30 transition-colors"
             >
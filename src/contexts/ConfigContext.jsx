@@ -0,0 +1,61 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { loadConfig } from '../services/config.js';
+import { createChatProvider, getChatProviderIds, setChatProvider } from '../services/chat/index.js';
+import { getTtsEngineIds } from '../services/tts/index.js';
+import ConfigErrorScreen from '../components/error/ConfigErrorScreen.jsx';
+
+const ConfigContext = createContext(undefined);
+
+// Loads runtime config before rendering the app; invalid config shows a startup error screen
+export const ConfigProvider = ({ children }) => {
+  const [state, setState] = useState({ status: 'loading', config: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadConfig({ providerIds: getChatProviderIds(), ttsEngineIds: getTtsEngineIds() })
+      .then((config) => {
+        if (cancelled) return;
+        setChatProvider(createChatProvider(config.chat));
+        setState({ status: 'ready', config, error: null });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setState({ status: 'error', config: null, error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (state.status === 'error') {
+    return <ConfigErrorScreen error={state.error} />;
+  }
+
+  if (state.status === 'loading') {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center" aria-busy="true">
+        <div className="loading-dots">
+          <div className="loading-dot bg-jarvis-cyan" />
+          <div className="loading-dot bg-jarvis-cyan" />
+          <div className="loading-dot bg-jarvis-cyan" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <ConfigContext.Provider value={state.config}>
+      {children}
+    </ConfigContext.Provider>
+  );
+};
+
+export const useConfig = () => {
+  const context = useContext(ConfigContext);
+  if (context === undefined) {
+    throw new Error('useConfig must be used within a ConfigProvider');
+  }
+  return context;
+};
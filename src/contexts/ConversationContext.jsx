@@ -0,0 +1,208 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import conversationStore, { createSession } from '../services/conversationStore.js';
+import { useError } from './ErrorContext.jsx';
+
+// Delay before message changes are written, so streamed replies don't hammer storage
+const SAVE_DEBOUNCE_MS = 250;
+
+// Create context
+const ConversationContext = createContext(undefined);
+
+// Conversation provider component
+export const ConversationProvider = ({ children }) => {
+  const [sessions, setSessions] = useState([]);
+  const [activeSession, setActiveSession] = useState(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const pendingSaveRef = useRef(null);
+  // Sessions deleted while a reply may still be streaming into them; their writes are dropped
+  const deletedIdsRef = useRef(new Set());
+  const { handleError } = useError();
+
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await conversationStore.listSessions());
+    } catch (error) {
+      handleError(error, 'Loading conversations');
+    }
+  }, [handleError]);
+
+  const activate = useCallback((session) => {
+    setActiveSession(session);
+    conversationStore.setActiveSessionId(session.id);
+  }, []);
+
+  // Write any debounced save immediately
+  const flushPendingSave = useCallback(() => {
+    const pending = pendingSaveRef.current;
+    if (!pending) return Promise.resolve();
+
+    clearTimeout(pending.timer);
+    pendingSaveRef.current = null;
+    if (deletedIdsRef.current.has(pending.session.id)) return Promise.resolve();
+    return conversationStore.saveSession(pending.session)
+      .catch(error => handleError(error, 'Saving conversation'));
+  }, [handleError]);
+
+  // Restore the last active session on load
+  useEffect(() => {
+    let cancelled = false;
+
+    const restore = async () => {
+      try {
+        const storedSessions = await conversationStore.listSessions();
+        const lastId = conversationStore.getActiveSessionId();
+        const session = storedSessions.find(s => s.id === lastId) || storedSessions[0] || createSession();
+
+        if (cancelled) return;
+        setSessions(storedSessions);
+        activate(session);
+      } catch (error) {
+        if (cancelled) return;
+        handleError(error, 'Restoring conversation');
+        activate(createSession());
+      } finally {
+        if (!cancelled) setIsLoaded(true);
+      }
+    };
+
+    restore();
+    return () => {
+      cancelled = true;
+    };
+  }, [activate, handleError]);
+
+  // Keep the session list in sync with store writes
+  useEffect(() => conversationStore.subscribe(refreshSessions), [refreshSessions]);
+
+  // Persist pending changes before a reload or tab close
+  useEffect(() => {
+    const handlePageHide = () => {
+      flushPendingSave();
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      flushPendingSave();
+    };
+  }, [flushPendingSave]);
+
+  // Save messages for a session; empty sessions are never written
+  const saveMessages = useCallback((sessionId, messages) => {
+    if (!activeSession || activeSession.id !== sessionId || deletedIdsRef.current.has(sessionId)) return;
+
+    const pending = pendingSaveRef.current;
+    if (pending) clearTimeout(pending.timer);
+
+    if (messages.length === 0 && activeSession.messages.length === 0 && !pending) return;
+
+    const base = pending?.session.id === sessionId ? pending.session : activeSession;
+    const session = { ...base, messages };
+    pendingSaveRef.current = {
+      session,
+      timer: setTimeout(flushPendingSave, SAVE_DEBOUNCE_MS)
+    };
+  }, [activeSession, flushPendingSave]);
+
+  const switchSession = useCallback(async (sessionId) => {
+    if (activeSession?.id === sessionId) return;
+
+    try {
+      await flushPendingSave();
+      const session = await conversationStore.getSession(sessionId);
+      if (session) activate(session);
+    } catch (error) {
+      handleError(error, 'Switching conversation');
+    }
+  }, [activeSession, activate, flushPendingSave, handleError]);
+
+  // Start a fresh conversation (kept in memory until its first message)
+  const startNewSession = useCallback(async () => {
+    await flushPendingSave();
+    const session = createSession();
+    activate(session);
+    return session;
+  }, [activate, flushPendingSave]);
+
+  const renameSession = useCallback(async (sessionId, title) => {
+    try {
+      if (pendingSaveRef.current?.session.id === sessionId) {
+        await flushPendingSave();
+      }
+
+      const renamed = await conversationStore.renameSession(sessionId, title);
+      if (renamed && activeSession?.id === sessionId) {
+        setActiveSession(prev => ({ ...prev, title: renamed.title, hasCustomTitle: true }));
+      }
+      return renamed;
+    } catch (error) {
+      handleError(error, 'Renaming conversation');
+      return null;
+    }
+  }, [activeSession, flushPendingSave, handleError]);
+
+  const pinSession = useCallback(async (sessionId, pinned) => {
+    try {
+      if (pendingSaveRef.current?.session.id === sessionId) {
+        await flushPendingSave();
+      }
+
+      const updated = await conversationStore.pinSession(sessionId, pinned);
+      if (updated && activeSession?.id === sessionId) {
+        setActiveSession(prev => ({ ...prev, pinned: updated.pinned }));
+      }
+      return updated;
+    } catch (error) {
+      handleError(error, 'Pinning conversation');
+      return null;
+    }
+  }, [activeSession, flushPendingSave, handleError]);
+
+  const deleteSession = useCallback(async (sessionId) => {
+    deletedIdsRef.current.add(sessionId);
+    try {
+      if (pendingSaveRef.current?.session.id === sessionId) {
+        clearTimeout(pendingSaveRef.current.timer);
+        pendingSaveRef.current = null;
+      }
+
+      await conversationStore.deleteSession(sessionId);
+
+      if (activeSession?.id === sessionId) {
+        const remaining = await conversationStore.listSessions();
+        activate(remaining[0] || createSession());
+      }
+    } catch (error) {
+      deletedIdsRef.current.delete(sessionId);
+      handleError(error, 'Deleting conversation');
+    }
+  }, [activeSession, activate, handleError]);
+
+  const value = {
+    sessions,
+    activeSession,
+    isLoaded,
+    saveMessages,
+    switchSession,
+    startNewSession,
+    renameSession,
+    pinSession,
+    deleteSession,
+    refreshSessions,
+  };
+
+  return (
+    <ConversationContext.Provider value={value}>
+      {children}
+    </ConversationContext.Provider>
+  );
+};
+
+// Custom hook to use conversation context
+export const useConversations = () => {
+  const context = useContext(ConversationContext);
+  if (context === undefined) {
+    throw new Error('useConversations must be used within a ConversationProvider');
+  }
+  return context;
+};
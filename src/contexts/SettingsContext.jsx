@@ -0,0 +1,128 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { MotionConfig } from 'framer-motion';
+import { createDefaultSettings } from '../types/index.js';
+import { applyHolographicTheme, getFromStorage, setToStorage, validateAgentId } from '../utils/index.js';
+import { createChatProvider, getChatProvider, getChatProviderIds, setChatProvider } from '../services/chat/index.js';
+import { createTtsEngine, getTtsEngineIds } from '../services/tts/index.js';
+import speechQueue from '../services/tts/speechQueue.js';
+import microphone from '../services/voice/microphone.js';
+import shortcutManager from '../services/shortcuts.js';
+import { useConfig } from './ConfigContext.jsx';
+
+const SETTINGS_STORAGE_KEY = 'jarvis.settings';
+
+// framer-motion handles reduced motion for JS animations; CSS animations are switched off via a root class
+const REDUCED_MOTION = {
+  off: 'always',
+  reduced: 'always',
+  full: 'user'
+};
+
+const loadSettings = () => ({
+  ...createDefaultSettings(),
+  ...getFromStorage(SETTINGS_STORAGE_KEY, {})
+});
+
+const SettingsContext = createContext(undefined);
+
+export const SettingsProvider = ({ children }) => {
+  const config = useConfig();
+  const [settings, setSettings] = useState(loadSettings);
+
+  // Overrides only apply when still valid for this deployment
+  const agentId = validateAgentId(settings.agentId) ? settings.agentId : config.agentId;
+  const chatProvider = getChatProviderIds().includes(settings.chatProvider)
+    ? settings.chatProvider
+    : config.chat.provider;
+
+  // The HTTP engine is only offered when the deployment points it at a server
+  const ttsEngineIds = useMemo(() => (
+    getTtsEngineIds().filter(id => id !== 'http' || config.tts.url)
+  ), [config]);
+  const ttsEngine = ttsEngineIds.includes(settings.ttsEngine) ? settings.ttsEngine : config.tts.engine;
+
+  useEffect(() => {
+    setToStorage(SETTINGS_STORAGE_KEY, settings);
+  }, [settings]);
+
+  // Swap the chat backend when the provider choice changes
+  useEffect(() => {
+    if (getChatProvider().id !== chatProvider) {
+      setChatProvider(createChatProvider({ ...config.chat, provider: chatProvider }));
+    }
+  }, [chatProvider, config]);
+
+  // Swap the speech engine when the engine choice changes
+  useEffect(() => {
+    if (speechQueue.getEngine().id !== ttsEngine) {
+      speechQueue.setEngine(createTtsEngine({ ...config.tts, engine: ttsEngine }));
+    }
+  }, [ttsEngine, config]);
+
+  useEffect(() => {
+    speechQueue.configure({
+      voice: settings.ttsVoice,
+      rate: settings.ttsRate,
+      pitch: settings.ttsPitch,
+      lang: settings.speechLanguage
+    });
+  }, [settings.ttsVoice, settings.ttsRate, settings.ttsPitch, settings.speechLanguage]);
+
+  useEffect(() => {
+    microphone.configure({
+      echoCancellation: settings.echoCancellation,
+      noiseSuppression: settings.noiseSuppression,
+      autoGainControl: settings.autoGainControl
+    });
+  }, [settings.echoCancellation, settings.noiseSuppression, settings.autoGainControl]);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('motion-off', settings.motionLevel === 'off');
+    document.documentElement.classList.toggle('motion-reduced', settings.motionLevel === 'reduced');
+  }, [settings.motionLevel]);
+
+  useEffect(() => {
+    applyHolographicTheme(settings.theme);
+  }, [settings.theme]);
+
+  useEffect(() => {
+    shortcutManager.configure({
+      enabled: settings.keyboardShortcuts,
+      bindings: settings.shortcutBindings
+    });
+  }, [settings.keyboardShortcuts, settings.shortcutBindings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    setSettings(createDefaultSettings());
+  }, []);
+
+  const value = useMemo(() => ({
+    settings,
+    agentId,
+    chatProvider,
+    ttsEngine,
+    ttsEngineIds,
+    updateSettings,
+    resetSettings
+  }), [settings, agentId, chatProvider, ttsEngine, ttsEngineIds, updateSettings, resetSettings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      <MotionConfig reducedMotion={REDUCED_MOTION[settings.motionLevel] || 'user'}>
+        {children}
+      </MotionConfig>
+    </SettingsContext.Provider>
+  );
+};
+
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (context === undefined) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
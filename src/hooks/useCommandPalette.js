@@ -0,0 +1,22 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import commandPalette from '../services/commands/palette.js';
+
+// Palette state ({ isOpen, actions, recentIds }) plus the controls to open and close it
+export const useCommandPalette = () => {
+  const snapshot = useSyncExternalStore(commandPalette.subscribe, commandPalette.getSnapshot);
+  return {
+    ...snapshot,
+    setOpen: commandPalette.setOpen,
+    toggle: commandPalette.toggle
+  };
+};
+
+// Offer actions in the palette for as long as the calling component is mounted. Pass a
+// memoized array, otherwise the actions are re-registered on every render.
+export const usePaletteActions = (actions) => {
+  useEffect(() => {
+    if (!actions?.length) return;
+    const unregister = actions.map(action => commandPalette.registerAction(action));
+    return () => unregister.forEach(remove => remove());
+  }, [actions]);
+};
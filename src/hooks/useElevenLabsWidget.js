@@ -1,199 +1,69 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
 import { useError } from '../contexts/ErrorContext.jsx';
 import { createApplicationError, ERROR_TYPES } from '../utils/index.js';
+import { VOICE_STATES } from '../types/index.js';
+import voiceSession from '../services/voice/voiceSession.js';
+import { isConnectedState, isInCallState } from '../services/voice/voiceStateMachine.js';
+import { isWidgetScriptLoaded } from '../services/voice/widgetScript.js';
 
+// Read and drive the shared voice session (state lives in services/voice/voiceSession.js)
 export const useElevenLabsWidget = () => {
-  const [isConnected, setIsConnected] = useState(false);
-  const [isInCall, setIsInCall] = useState(false);
-  const [isListening, setIsListening] = useState(false);
-  const [isSpeaking, setIsSpeaking] = useState(false);
-  const [error, setError] = useState(null);
-  const [widgetStatus, setWidgetStatus] = useState('idle');
-  const widgetRef = useRef(null);
+  const { state, error: sessionError, isMuted } = useSyncExternalStore(voiceSession.subscribe, voiceSession.getSnapshot);
   const { handleError } = useError();
 
-  // Handle widget status changes
-  const handleStatusChange = useCallback((status) => {
-    console.log('Widget status changed:', status);
-    setWidgetStatus(status);
-    
-    switch (status) {
-      case 'connected':
-        setIsConnected(true);
-        setError(null);
-        break;
-      case 'disconnected':
-      case 'idle':
-        setIsConnected(false);
-        setIsInCall(false);
-        setIsListening(false);
-        setIsSpeaking(false);
-        break;
-      case 'in-call':
-        setIsInCall(true);
-        break;
-      case 'listening':
-        setIsListening(true);
-        setIsSpeaking(false);
-        break;
-      case 'speaking':
-        setIsListening(false);
-        setIsSpeaking(true);
-        break;
-      case 'error':
-        setIsConnected(false);
-        setIsInCall(false);
-        setIsListening(false);
-        setIsSpeaking(false);
-        break;
-    }
-  }, []);
-
-  // Handle conversation start
-  const handleConversationStart = useCallback(() => {
-    console.log('Conversation started');
-    setIsInCall(true);
-    setError(null);
-  }, []);
+  const isConnected = isConnectedState(state);
+  const isInCall = isInCallState(state);
+  const isListening = state === VOICE_STATES.LISTENING && !isMuted;
+  const isSpeaking = state === VOICE_STATES.SPEAKING;
 
-  // Handle conversation end
-  const handleConversationEnd = useCallback(() => {
-    console.log('Conversation ended');
-    setIsInCall(false);
-    setIsListening(false);
-    setIsSpeaking(false);
-  }, []);
+  const error = useMemo(() => (sessionError ? createApplicationError(
+    ERROR_TYPES.WIDGET_INITIALIZATION_ERROR,
+    sessionError.message,
+    'ElevenLabs widget error',
+    true
+  ) : null), [sessionError]);
 
-  // Handle widget errors
-  const handleWidgetError = useCallback((errorMessage) => {
-    console.error('Widget error:', errorMessage);
-    const appError = createApplicationError(
-      ERROR_TYPES.WIDGET_INITIALIZATION_ERROR,
-      errorMessage,
-      'ElevenLabs widget error',
-      true
-    );
-    setError(appError);
-    handleError(new Error(errorMessage), 'ElevenLabs widget');
-  }, [handleError]);
+  // Surface each new widget failure once
+  useEffect(() => {
+    if (sessionError) {
+      handleError(sessionError, 'ElevenLabs widget');
+    }
+  }, [sessionError, handleError]);
 
-  // Connect to widget
+  // Start a call
   const connect = useCallback(() => {
-    try {
-      // Find the widget element
-      const widget = document.querySelector('elevenlabs-convai');
-      if (!widget) {
-        throw new Error('ElevenLabs widget not found');
-      }
+    if (!isConnected) return false;
+    return voiceSession.startCall();
+  }, [isConnected]);
 
-      widgetRef.current = widget;
-      
-      // Trigger connection (this would be handled by the widget's internal logic)
-      setIsConnected(true);
-      setError(null);
-      console.log('Connected to ElevenLabs widget');
-    } catch (err) {
-      const appError = createApplicationError(
-        ERROR_TYPES.WIDGET_INITIALIZATION_ERROR,
-        'Failed to connect to voice service',
-        err.message,
-        true
-      );
-      setError(appError);
-      handleError(err, 'Widget connection');
-    }
-  }, [handleError]);
-
-  // Disconnect from widget
+  // End the current call
   const disconnect = useCallback(() => {
-    try {
-      setIsConnected(false);
-      setIsInCall(false);
-      setIsListening(false);
-      setIsSpeaking(false);
-      setError(null);
-      console.log('Disconnected from ElevenLabs widget');
-    } catch (err) {
-      const appError = createApplicationError(
-        ERROR_TYPES.UNKNOWN_ERROR,
-        'Failed to disconnect from voice service',
-        err.message,
-        true
-      );
-      setError(appError);
-      handleError(err, 'Widget disconnection');
-    }
-  }, [handleError]);
+    if (!isInCall) return false;
+    return voiceSession.endCall();
+  }, [isInCall]);
 
-  // Clear error
-  const clearError = useCallback(() => {
-    setError(null);
-  }, []);
+  const setMuted = useCallback((muted) => voiceSession.setMuted(muted), []);
 
-  // Start voice input
+  // Start voice input: place a call, or unmute the one in progress
   const startVoiceInput = useCallback(() => {
-    if (!isConnected) {
-      const appError = createApplicationError(
-        ERROR_TYPES.WIDGET_INITIALIZATION_ERROR,
-        'Voice service not connected',
-        'Cannot start voice input without connection',
-        true
-      );
-      setError(appError);
-      return false;
-    }
-
-    try {
-      setIsListening(true);
-      setIsSpeaking(false);
-      console.log('Started voice input');
-      return true;
-    } catch (err) {
-      const appError = createApplicationError(
-        ERROR_TYPES.VOICE_PROCESSING_ERROR,
-        'Failed to start voice input',
-        err.message,
-        true
-      );
-      setError(appError);
-      handleError(err, 'Voice input start');
-      return false;
-    }
-  }, [isConnected, handleError]);
+    if (!isConnected) return false;
+    if (isInCall) return isMuted ? voiceSession.setMuted(false) : true;
+    return voiceSession.startCall();
+  }, [isConnected, isInCall, isMuted]);
 
-  // Stop voice input
+  // Stop voice input by ending the call
   const stopVoiceInput = useCallback(() => {
-    try {
-      setIsListening(false);
-      console.log('Stopped voice input');
-      return true;
-    } catch (err) {
-      const appError = createApplicationError(
-        ERROR_TYPES.VOICE_PROCESSING_ERROR,
-        'Failed to stop voice input',
-        err.message,
-        true
-      );
-      setError(appError);
-      handleError(err, 'Voice input stop');
-      return false;
-    }
-  }, [handleError]);
+    if (!isInCall) return true;
+    return voiceSession.endCall();
+  }, [isInCall]);
 
   // Toggle voice input
   const toggleVoiceInput = useCallback(() => {
-    if (isListening) {
-      return stopVoiceInput();
-    } else {
-      return startVoiceInput();
-    }
-  }, [isListening, startVoiceInput, stopVoiceInput]);
+    return isInCall ? stopVoiceInput() : startVoiceInput();
+  }, [isInCall, startVoiceInput, stopVoiceInput]);
 
   // Check if widget is available
-  const isWidgetAvailable = useCallback(() => {
-    return typeof window !== 'undefined' && 
-           document.querySelector('script[src*="convai-widget-embed"]') !== null;
-  }, []);
+  const isWidgetAvailable = useCallback(() => isWidgetScriptLoaded(), []);
 
   // Get current state summary
   const getState = useCallback(() => {
@@ -202,20 +72,12 @@ export const useElevenLabsWidget = () => {
       isInCall,
       isListening,
       isSpeaking,
-      widgetStatus,
+      isMuted,
+      widgetStatus: state,
       error,
       isAvailable: isWidgetAvailable()
     };
-  }, [isConnected, isInCall, isListening, isSpeaking, widgetStatus, error, isWidgetAvailable]);
-
-  // Auto-cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (isInCall) {
-        disconnect();
-      }
-    };
-  }, [isInCall, disconnect]);
+  }, [isConnected, isInCall, isListening, isSpeaking, isMuted, state, error, isWidgetAvailable]);
 
   return {
     // State
@@ -223,26 +85,20 @@ export const useElevenLabsWidget = () => {
     isInCall,
     isListening,
     isSpeaking,
+    isMuted,
     error,
-    widgetStatus,
-    
+    widgetStatus: state,
+
     // Actions
     connect,
     disconnect,
-    clearError,
+    setMuted,
     startVoiceInput,
     stopVoiceInput,
     toggleVoiceInput,
-    
-    // Event handlers for widget component
-    handleStatusChange,
-    handleConversationStart,
-    handleConversationEnd,
-    handleWidgetError,
-    
+
     // Utilities
     isWidgetAvailable,
     getState
   };
 };
-
@@ -0,0 +1,15 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import microphone from '../services/voice/microphone.js';
+
+// Audio inputs currently plugged in, kept up to date through `devicechange`
+export const useMicrophoneDevices = () => {
+  const { devices, activeDeviceId } = useSyncExternalStore(microphone.subscribe, microphone.getSnapshot);
+  const refresh = useCallback(() => microphone.refreshDevices(), []);
+
+  return {
+    devices,
+    activeDeviceId,
+    hasLabels: devices.some(device => device.hasLabel),
+    refresh
+  };
+};
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+
+const getOnlineStatus = () => (typeof navigator === 'undefined' ? true : navigator.onLine);
+
+// Track browser connectivity via navigator.onLine and the online/offline events
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(getOnlineStatus);
+
+  useEffect(() => {
+    const handleChange = () => setIsOnline(getOnlineStatus());
+
+    window.addEventListener('online', handleChange);
+    window.addEventListener('offline', handleChange);
+    return () => {
+      window.removeEventListener('online', handleChange);
+      window.removeEventListener('offline', handleChange);
+    };
+  }, []);
+
+  return isOnline;
+};
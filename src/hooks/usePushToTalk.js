@@ -0,0 +1,67 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// Holds shorter than this are treated as accidental taps and never open the microphone
+export const PUSH_TO_TALK_MIN_HOLD = 300;
+
+// Hold-to-talk state shared by the Space key and the mic button: press() and release()
+// bracket a hold, onStart fires once the hold outlasts minHoldMs and onEnd when it is let go
+export const usePushToTalk = ({
+  enabled = false,
+  minHoldMs = PUSH_TO_TALK_MIN_HOLD,
+  onStart,
+  onEnd
+} = {}) => {
+  const [isHolding, setIsHolding] = useState(false);
+  const isPressedRef = useRef(false);
+  const isHoldingRef = useRef(false);
+  const holdTimerRef = useRef(null);
+  const callbacksRef = useRef({ onStart, onEnd });
+
+  useEffect(() => {
+    callbacksRef.current = { onStart, onEnd };
+  }, [onStart, onEnd]);
+
+  const press = useCallback(() => {
+    if (!enabled || isPressedRef.current) return;
+    isPressedRef.current = true;
+
+    holdTimerRef.current = setTimeout(() => {
+      holdTimerRef.current = null;
+      isHoldingRef.current = true;
+      setIsHolding(true);
+      callbacksRef.current.onStart?.();
+    }, minHoldMs);
+  }, [enabled, minHoldMs]);
+
+  const release = useCallback(() => {
+    if (!isPressedRef.current) return;
+    isPressedRef.current = false;
+    clearTimeout(holdTimerRef.current);
+    holdTimerRef.current = null;
+
+    if (isHoldingRef.current) {
+      isHoldingRef.current = false;
+      setIsHolding(false);
+      callbacksRef.current.onEnd?.();
+    }
+  }, []);
+
+  // A key released while the window is in the background never sends keyup
+  useEffect(() => {
+    window.addEventListener('blur', release);
+    return () => window.removeEventListener('blur', release);
+  }, [release]);
+
+  // Switching back to toggle mode mid-hold ends the turn
+  useEffect(() => {
+    if (!enabled) release();
+  }, [enabled, release]);
+
+  useEffect(() => () => clearTimeout(holdTimerRef.current), []);
+
+  return {
+    isHolding,
+    press,
+    release
+  };
+};
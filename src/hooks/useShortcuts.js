@@ -0,0 +1,40 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import shortcutManager from '../services/shortcuts.js';
+
+// { enabled, shortcuts, conflicts }: every registered shortcut with its effective keys, and
+// the ids each one collides with
+export const useShortcuts = () => useSyncExternalStore(shortcutManager.subscribe, shortcutManager.getSnapshot);
+
+// Register a shortcut while the calling component is mounted and `enabled` is not false.
+// The handlers may change on every render; only the id, keys and scope re-register it.
+export const useShortcut = ({
+  id,
+  description,
+  keys,
+  scope = 'global',
+  allowInInput = false,
+  enabled = true,
+  onPress,
+  onRelease
+}) => {
+  const handlersRef = useRef({ onPress, onRelease });
+
+  useEffect(() => {
+    handlersRef.current = { onPress, onRelease };
+  }, [onPress, onRelease]);
+
+  const hasRelease = Boolean(onRelease);
+
+  useEffect(() => {
+    if (!enabled) return;
+    return shortcutManager.register({
+      id,
+      description,
+      keys,
+      scope,
+      allowInInput,
+      onPress: (event) => handlersRef.current.onPress?.(event),
+      onRelease: hasRelease ? (event) => handlersRef.current.onRelease?.(event) : undefined
+    });
+  }, [id, description, keys, scope, allowInInput, enabled, hasRelease]);
+};
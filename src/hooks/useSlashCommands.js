@@ -0,0 +1,14 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { getSlashCommands, registerSlashCommand, subscribeSlashCommands } from '../services/commands/index.js';
+
+// Every registered slash command, re-rendering when commands are added or removed
+export const useSlashCommands = () => useSyncExternalStore(subscribeSlashCommands, getSlashCommands);
+
+// Register a command for as long as the calling component is mounted. Pass a memoized
+// command object, otherwise it is re-registered on every render.
+export const useSlashCommand = (command) => {
+  useEffect(() => {
+    if (!command) return;
+    return registerSlashCommand(command);
+  }, [command]);
+};
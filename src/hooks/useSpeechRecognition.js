@@ -0,0 +1,72 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { createSpeechRecognizer, isSpeechRecognitionSupported } from '../services/voice/speechRecognition.js';
+
+// Web Speech API voice input with the same isListening / toggle contract as useElevenLabsWidget
+export const useSpeechRecognition = ({
+  lang = 'en-US',
+  continuous = false,
+  onResult,
+  onError
+} = {}) => {
+  const [isSupported] = useState(isSpeechRecognitionSupported);
+  const [isListening, setIsListening] = useState(false);
+  const [interimTranscript, setInterimTranscript] = useState('');
+  const recognizerRef = useRef(null);
+  const callbacksRef = useRef({ onResult, onError });
+
+  useEffect(() => {
+    callbacksRef.current = { onResult, onError };
+  }, [onResult, onError]);
+
+  // Recreate the recognizer whenever its options change
+  useEffect(() => {
+    if (!isSupported) return;
+
+    const recognizer = createSpeechRecognizer({
+      lang,
+      continuous,
+      onInterim: setInterimTranscript,
+      onFinal: (text) => callbacksRef.current.onResult?.(text),
+      onListeningChange: setIsListening,
+      onError: (error) => callbacksRef.current.onError?.(error)
+    });
+    recognizerRef.current = recognizer;
+
+    return () => {
+      recognizer.abort();
+      recognizerRef.current = null;
+      setIsListening(false);
+      setInterimTranscript('');
+    };
+  }, [isSupported, lang, continuous]);
+
+  const startListening = useCallback(() => {
+    if (!recognizerRef.current) return false;
+    try {
+      recognizerRef.current.start();
+      return true;
+    } catch (error) {
+      console.warn('Failed to start speech recognition:', error);
+      return false;
+    }
+  }, []);
+
+  const stopListening = useCallback(() => {
+    if (!recognizerRef.current) return false;
+    recognizerRef.current.stop();
+    return true;
+  }, []);
+
+  const toggleListening = useCallback(() => {
+    return isListening ? stopListening() : startListening();
+  }, [isListening, startListening, stopListening]);
+
+  return {
+    isSupported,
+    isListening,
+    interimTranscript,
+    startListening,
+    stopListening,
+    toggleListening
+  };
+};
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState, useSyncExternalStore } from 'react';
+import speechQueue from '../services/tts/speechQueue.js';
+
+// Read and drive spoken replies (queue lives in services/tts/speechQueue.js)
+export const useSpeechSynthesis = () => {
+  const { isSpeaking, currentId } = useSyncExternalStore(speechQueue.subscribe, speechQueue.getSnapshot);
+
+  const speak = useCallback((id, text) => speechQueue.enqueue(id, text), []);
+  const replay = useCallback((id, text) => speechQueue.speakNow(id, text), []);
+  const cancel = useCallback(() => speechQueue.cancel(), []);
+
+  return {
+    isSupported: speechQueue.isSupported(),
+    isSpeaking,
+    speakingId: currentId,
+    speak,
+    replay,
+    cancel
+  };
+};
+
+// Voices offered by the active engine, refreshed when the engine or its voice list changes
+export const useSpeechVoices = () => {
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      speechQueue.getVoices().then((list) => {
+        if (!cancelled) setVoices(list);
+      });
+    };
+
+    load();
+    const unsubscribe = speechQueue.onVoicesChanged(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  return voices;
+};
@@ -0,0 +1,20 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { getTools, registerTool, subscribeTools } from '../services/tools/index.js';
+import toolPermissions from '../services/tools/permissions.js';
+
+// Every registered tool, re-rendering when tools are added or removed
+export const useTools = () => useSyncExternalStore(subscribeTools, getTools);
+
+// Offer a tool to the model for as long as the calling component is mounted. Pass a
+// memoized tool object, otherwise it is re-registered on every render.
+export const useTool = (tool) => {
+  useEffect(() => {
+    if (!tool) return;
+    return registerTool(tool);
+  }, [tool]);
+};
+
+// Tool calls waiting for the user's approval ({ pending }), oldest first
+export const usePendingToolCalls = () => (
+  useSyncExternalStore(toolPermissions.subscribe, toolPermissions.getSnapshot)
+);
@@ -0,0 +1,45 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import voiceActivity from '../services/voice/voiceActivity.js';
+
+const getIsSpeech = () => voiceActivity.getSnapshot().isSpeech;
+const getLevel = () => voiceActivity.getSnapshot().level;
+const getIsMetering = () => voiceActivity.getSnapshot().level !== null;
+
+// Meter the microphone while `enabled` and call onSilence after `silenceTimeout` seconds
+// without speech. The timer holds while `paused` (e.g. the assistant is talking); 0 disables it.
+// It only runs while the microphone is actually being metered: without a microphone (denied,
+// busy, unsupported) silence can't be told from speech, so voice input is left alone.
+export const useVoiceActivity = ({
+  enabled = false,
+  paused = false,
+  silenceTimeout = 0,
+  onSilence
+} = {}) => {
+  const isSpeechDetected = useSyncExternalStore(voiceActivity.subscribe, getIsSpeech);
+  const isMetering = useSyncExternalStore(voiceActivity.subscribe, getIsMetering);
+  const onSilenceRef = useRef(onSilence);
+
+  useEffect(() => {
+    onSilenceRef.current = onSilence;
+  }, [onSilence]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    voiceActivity.start();
+    return () => voiceActivity.stop();
+  }, [enabled]);
+
+  // Restarts whenever speech ends, so the countdown is always from the last thing said
+  useEffect(() => {
+    if (!enabled || !isMetering || paused || isSpeechDetected || !silenceTimeout) return;
+
+    const timeoutId = setTimeout(() => onSilenceRef.current?.(), silenceTimeout * 1000);
+    return () => clearTimeout(timeoutId);
+  }, [enabled, isMetering, paused, isSpeechDetected, silenceTimeout]);
+
+  return { isSpeechDetected };
+};
+
+// Live input level (0..1), or null when the microphone isn't being metered.
+// Subscribe from small leaf components: the level changes many times a second.
+export const useMicrophoneLevel = () => useSyncExternalStore(voiceActivity.subscribe, getLevel);
@@ -0,0 +1,64 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import voiceRecorder from '../services/voice/voiceRecorder.js';
+import recordingStore from '../services/recordingStore.js';
+import speechQueue from '../services/tts/speechQueue.js';
+
+const getIsRecording = () => voiceRecorder.getSnapshot().isRecording;
+
+// Record the microphone into `sessionId` while `enabled`, and keep synthesized spoken
+// replies while `recordSpeech` is on
+export const useVoiceRecorder = ({
+  enabled = false,
+  recordSpeech = false,
+  sessionId = null
+} = {}) => {
+  const [isSupported] = useState(() => voiceRecorder.isSupported());
+  const isRecording = useSyncExternalStore(voiceRecorder.subscribe, getIsRecording);
+
+  useEffect(() => {
+    if (!isSupported || !enabled || !sessionId) return;
+    voiceRecorder.start(sessionId);
+    return () => voiceRecorder.stop();
+  }, [isSupported, enabled, sessionId]);
+
+  useEffect(() => {
+    if (!isSupported || !recordSpeech || !sessionId) return;
+    return speechQueue.onAudio((messageId, blob) => voiceRecorder.saveSpeech(sessionId, messageId, blob));
+  }, [isSupported, recordSpeech, sessionId]);
+
+  return { isSupported, isRecording };
+};
+
+// Recording start time while the microphone is being recorded, otherwise null
+export const useRecordingStartedAt = () => useSyncExternalStore(
+  voiceRecorder.subscribe,
+  () => voiceRecorder.getSnapshot().startedAt
+);
+
+// Recordings of a conversation, kept up to date as new ones are saved
+export const useSessionRecordings = (sessionId) => {
+  const [recordings, setRecordings] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = () => {
+      recordingStore.listRecordings(sessionId)
+        .then((list) => {
+          if (!cancelled) setRecordings(list);
+        })
+        .catch((error) => console.warn('Recordings could not be loaded:', error.message));
+    };
+
+    load();
+    const unsubscribe = recordingStore.subscribe((changedId) => {
+      if (changedId === sessionId) load();
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [sessionId]);
+
+  return recordings;
+};
@@ -0,0 +1,67 @@
+import { useState, useRef, useEffect } from 'react';
+import { isSpeechRecognitionSupported } from '../services/voice/speechRecognition.js';
+import { createWakeWordListener } from '../services/voice/wakeWord.js';
+import { DEFAULT_WAKE_PHRASE } from '../types/index.js';
+
+const isPageVisible = () => typeof document === 'undefined' || document.visibilityState !== 'hidden';
+
+// Keep a wake phrase listener armed while `enabled` and not `paused`. Listening also stops
+// while the tab is hidden, so a backgrounded app doesn't hold the microphone.
+export const useWakeWord = ({
+  enabled = false,
+  paused = false,
+  phrase = DEFAULT_WAKE_PHRASE,
+  lang = 'en-US',
+  onWake,
+  onError
+} = {}) => {
+  const [isSupported] = useState(isSpeechRecognitionSupported);
+  const [isArmed, setIsArmed] = useState(false);
+  const [isVisible, setIsVisible] = useState(isPageVisible);
+  const [wakeCount, setWakeCount] = useState(0);
+  const callbacksRef = useRef({ onWake, onError });
+
+  useEffect(() => {
+    callbacksRef.current = { onWake, onError };
+  }, [onWake, onError]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsVisible(isPageVisible());
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  const isActive = isSupported && enabled && !paused && isVisible && Boolean(phrase.trim());
+
+  // The listener stops itself after each wake; bumping wakeCount re-arms it unless the wake paused us
+  useEffect(() => {
+    if (!isActive) return;
+
+    const listener = createWakeWordListener({
+      phrase,
+      lang,
+      onArmedChange: setIsArmed,
+      onWake: (command) => {
+        setWakeCount(count => count + 1);
+        callbacksRef.current.onWake?.(command);
+      },
+      onError: (error) => callbacksRef.current.onError?.(error)
+    });
+
+    try {
+      listener.start();
+    } catch (error) {
+      console.warn('Failed to start wake word listener:', error);
+    }
+
+    return () => {
+      listener.stop();
+      setIsArmed(false);
+    };
+  }, [isActive, phrase, lang, wakeCount]);
+
+  return {
+    isSupported,
+    isArmed
+  };
+};
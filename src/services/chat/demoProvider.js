@@ -0,0 +1,141 @@
+// Demo chat provider - canned JARVIS replies, no backend required
+
+const DEMO_RESPONSES = [
+  "I understand your request. How can I assist you further?",
+  "Processing your input. What would you like me to help you with next?",
+  "I'm here to help. Please let me know if you need anything else.",
+  "Your message has been received. I'm ready for your next command.",
+  "Thank you for your input. How may I be of service?"
+];
+
+// When tools are offered, a few recognisable requests go through them, so tool calling can be
+// tried without a backend: times, "convert 5 km to miles", "calculate 2 * (3 + 4)",
+// "fetch https://..." and "export this conversation as json"
+const CONVERSION_PATTERN = /(-?\d+(?:\.\d+)?)\s*([a-z°/]+)\s+(?:to|in|into)\s+([a-z°/]+)/i;
+const TIME_PATTERN = /\b(?:time|date|what day)\b/i;
+const TIME_ZONE_PATTERN = /\b([A-Z][a-z]+\/[A-Z][A-Za-z_]+(?:\/[A-Z][A-Za-z_]+)?)\b/;
+const CALCULATION_PATTERN = /\b(?:calculate|compute|what(?:'s| is))\s+(.+?)\s*[?.!]*$/i;
+const URL_PATTERN = /\b(?:fetch|open|get|read)\b.*?(https?:\/\/[^\s<>"']+[^\s<>"'.,!?)])/i;
+const EXPORT_PATTERN = /\b(?:export|download|save)\b.*\b(?:conversation|chat)\b(?:.*\b(json|markdown)\b)?/i;
+
+const planToolCall = (text, tools) => {
+  const available = new Set(tools.map(tool => tool.name));
+  const call = (name, args) => ({ id: `demo_${Date.now()}`, name, arguments: JSON.stringify(args) });
+
+  const url = text.match(URL_PATTERN)?.[1];
+  if (url && available.has('fetch_url')) {
+    return call('fetch_url', { url });
+  }
+  const exportMatch = text.match(EXPORT_PATTERN);
+  if (exportMatch && available.has('export_conversation')) {
+    return call('export_conversation', exportMatch[1] ? { format: exportMatch[1].toLowerCase() } : {});
+  }
+  const conversion = text.match(CONVERSION_PATTERN);
+  if (conversion && available.has('convert_units')) {
+    return call('convert_units', { value: Number(conversion[1]), from: conversion[2], to: conversion[3] });
+  }
+  if (TIME_PATTERN.test(text) && available.has('get_current_time')) {
+    const timeZone = text.match(TIME_ZONE_PATTERN)?.[1];
+    return call('get_current_time', timeZone ? { timeZone } : {});
+  }
+  const expression = text.match(CALCULATION_PATTERN)?.[1];
+  if (expression && /\d/.test(expression) && /[-+*/^%(×÷]/.test(expression) && available.has('calculate')) {
+    return call('calculate', { expression });
+  }
+  return null;
+};
+
+// Phrase the results of the tool calls that ended the conversation
+const describeToolResults = (messages) => {
+  const results = [];
+  for (let index = messages.length - 1; index >= 0 && messages[index].role === 'tool'; index--) {
+    results.unshift(messages[index]);
+  }
+
+  return results.map(({ name, content }) => {
+    let result;
+    try {
+      result = JSON.parse(content);
+    } catch {
+      return `Done: ${content}`;
+    }
+
+    if (result?.error) return `I couldn't do that: ${result.error}.`;
+    if (name === 'get_current_time') return `It is ${result.local}.`;
+    if (name === 'calculate') return `${result.expression} = **${result.result}**`;
+    if (name === 'convert_units') return `${result.value} ${result.from} is **${result.result} ${result.to}**.`;
+    if (name === 'fetch_url') return `${result.url} answered with status ${result.status}:\n\n${result.content.slice(0, 200)}`;
+    if (name === 'export_conversation') return `The conversation has been downloaded as ${result.format === 'json' ? 'JSON' : 'Markdown'}.`;
+    return `Done: ${content}`;
+  }).join('\n\n');
+};
+
+export const createDemoProvider = ({ minDelay = 1500, maxDelay = 2500 } = {}) => {
+  const pending = new Set();
+
+  const createAbortError = () => new DOMException('Request cancelled', 'AbortError');
+
+  const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const entry = {
+      timer: setTimeout(() => {
+        signal?.removeEventListener('abort', entry.abort);
+        pending.delete(entry);
+        resolve();
+      }, ms),
+      abort: () => {
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', entry.abort);
+        pending.delete(entry);
+        reject(createAbortError());
+      }
+    };
+
+    signal?.addEventListener('abort', entry.abort, { once: true });
+    pending.add(entry);
+  });
+
+  const send = async (messages, { signal, tools, onToolCall } = {}) => {
+    await wait(minDelay + Math.random() * (maxDelay - minDelay), signal);
+
+    const lastMessage = messages[messages.length - 1];
+    if (lastMessage?.role === 'tool') {
+      return describeToolResults(messages);
+    }
+    const toolCall = tools?.length && lastMessage?.role === 'user' ? planToolCall(lastMessage.content, tools) : null;
+    if (toolCall) {
+      onToolCall?.(toolCall);
+      return '';
+    }
+    return DEMO_RESPONSES[Math.floor(Math.random() * DEMO_RESPONSES.length)];
+  };
+
+  // Reveal the canned reply word by word to mimic token streaming
+  const stream = async (messages, { onChunk, signal, tools, onToolCall } = {}) => {
+    const content = await send(messages, { signal, tools, onToolCall });
+    const tokens = content.match(/\S+\s*/g) || [];
+
+    for (const token of tokens) {
+      await wait(30 + Math.random() * 50, signal);
+      onChunk?.(token);
+    }
+
+    return content;
+  };
+
+  const cancel = () => {
+    pending.forEach(entry => entry.abort());
+  };
+
+  return {
+    id: 'demo',
+    name: 'Demo',
+    send,
+    stream,
+    cancel
+  };
+};
@@ -0,0 +1,119 @@
+// Chat backend provider registry
+//
+// A provider is a plain object exposing:
+//   send(messages, options)    -> Promise<string>   full assistant reply
+//   stream(messages, options)  -> Promise<string>   calls options.onChunk(text) as text arrives
+//   cancel()                   -> void              aborts every in-flight request
+// where `messages` is an array of { role: 'system' | 'user' | 'assistant', content }
+// and `options.signal` is an optional AbortSignal. Aborted requests reject with an AbortError.
+// Errors are retried when they carry a transient HTTP `status` or `transient: true` (set it
+// for network failures); anything else is shown to the user straight away.
+//
+// Tool calling (optional): `options.tools` lists { name, description, parameters } the model
+// may call, and the provider reports each requested call through
+// options.onToolCall({ id, name, arguments }). Follow-up requests then include
+// { role: 'assistant', content, toolCalls: [{ id, name, arguments }] } and
+// { role: 'tool', toolCallId, name, content } messages. Providers without tool support
+// just ignore these options.
+
+import { createDemoProvider } from './demoProvider.js';
+import { createOpenAIProvider } from './openAIProvider.js';
+import { formatToolResult } from '../tools/index.js';
+
+const providerFactories = new Map([
+  ['demo', createDemoProvider],
+  ['openai', createOpenAIProvider]
+]);
+
+let activeProvider = null;
+
+// Register a custom provider factory so deployments can plug in their own backend
+export function registerChatProvider(id, factory) {
+  if (!id || typeof factory !== 'function') {
+    throw new Error('Chat provider registration requires an id and a factory function');
+  }
+  providerFactories.set(id, factory);
+}
+
+export function getChatProviderIds() {
+  return Array.from(providerFactories.keys());
+}
+
+// Read provider selection from Vite env config
+export function getChatProviderConfig(env = import.meta.env) {
+  return {
+    provider: env.VITE_CHAT_PROVIDER || 'demo',
+    baseUrl: env.VITE_CHAT_API_URL || undefined,
+    apiKey: env.VITE_CHAT_API_KEY || '',
+    model: env.VITE_CHAT_MODEL || undefined,
+    systemPrompt: env.VITE_CHAT_SYSTEM_PROMPT || ''
+  };
+}
+
+export function createChatProvider(config = getChatProviderConfig()) {
+  const { provider: id, ...options } = config;
+  const factory = providerFactories.get(id);
+
+  if (!factory) {
+    console.warn(`Unknown chat provider "${id}", falling back to demo provider`);
+    return createDemoProvider();
+  }
+
+  // Drop unset values so each provider keeps its own defaults
+  const providerOptions = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+
+  return factory(providerOptions);
+}
+
+export function getChatProvider() {
+  if (!activeProvider) {
+    activeProvider = createChatProvider();
+  }
+  return activeProvider;
+}
+
+export function setChatProvider(provider) {
+  activeProvider?.cancel();
+  activeProvider = provider;
+}
+
+// Provider messages for one round of tool calls and their results
+export function toToolCallMessages(calls, content = '') {
+  return [
+    {
+      role: 'assistant',
+      content,
+      toolCalls: calls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args }))
+    },
+    ...calls.map(call => ({
+      role: 'tool',
+      toolCallId: call.id,
+      name: call.name,
+      content: formatToolResult(call)
+    }))
+  ];
+}
+
+// Convert chat messages into the provider wire format; replies that used tools replay
+// each round of calls and results before their text
+export function toProviderMessages(messages) {
+  return messages.flatMap((message) => {
+    const role = message.sender === 'user' ? 'user' : 'assistant';
+    const rounds = new Map();
+    (role === 'assistant' ? message.toolCalls || [] : []).forEach((call) => {
+      const round = call.round ?? 0;
+      if (!rounds.has(round)) rounds.set(round, []);
+      rounds.get(round).push(call);
+    });
+
+    return [
+      ...[...rounds.values()].flatMap(calls => toToolCallMessages(calls)),
+      ...(message.content ? [{ role, content: message.content }] : [])
+    ];
+  });
+}
+
+export { createDemoProvider, createOpenAIProvider };
+export { withRetry, isTransientError, getBackoffDelay } from './retry.js';
@@ -0,0 +1,190 @@
+// OpenAI-compatible chat provider (OpenAI, Ollama, LM Studio, vLLM, llama.cpp server...)
+
+import { readSSEStream, readTextStream, isEventStream } from './streams.js';
+
+export const createOpenAIProvider = ({
+  baseUrl = 'http://localhost:11434/v1',
+  apiKey = '',
+  model = 'llama3',
+  temperature = 0.7,
+  systemPrompt = ''
+} = {}) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const controllers = new Set();
+
+  const buildHeaders = () => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  };
+
+  const withSystemPrompt = (messages) => (
+    systemPrompt ? [{ role: 'system', content: systemPrompt }, ...messages] : messages
+  );
+
+  // Tool calls and results in OpenAI's shape
+  const toWireMessage = (message) => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+          }
+        }))
+      };
+    }
+    return message;
+  };
+
+  const buildBody = (messages, tools, stream) => ({
+    messages: withSystemPrompt(messages).map(toWireMessage),
+    stream,
+    // Only sent when there are tools: some servers reject the field outright
+    ...(tools?.length ? { tools: tools.map(tool => ({ type: 'function', function: tool })) } : {})
+  });
+
+  const reportToolCalls = (toolCalls, onToolCall) => {
+    (toolCalls || []).forEach((call, index) => {
+      if (!call?.function?.name) return;
+      onToolCall?.({
+        id: call.id || `call_${index}`,
+        name: call.function.name,
+        arguments: call.function.arguments || ''
+      });
+    });
+  };
+
+  // Run a request under its own AbortController, linked to an optional caller signal,
+  // so both cancel() and the caller can stop it until the body has been fully read
+  const withAbort = async (signal, run) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    controllers.add(controller);
+
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      return await run(controller.signal);
+    } finally {
+      signal?.removeEventListener('abort', abort);
+      controllers.delete(controller);
+    }
+  };
+
+  const request = async (body, signal) => {
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify({ model, temperature, ...body }),
+        signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Chat backend responded with ${response.status}`);
+        error.status = response.status;
+        error.statusText = response.statusText;
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      // Failures are logged by the retry layer, which needs to know where they came from
+      if (error.name !== 'AbortError') {
+        error.url = endpoint;
+        // fetch rejects with a TypeError when the connection itself fails
+        if (error instanceof TypeError) error.transient = true;
+      }
+      throw error;
+    }
+  };
+
+  const send = (messages, { signal, tools, onToolCall } = {}) => withAbort(signal, async (requestSignal) => {
+    const response = await request(buildBody(messages, tools, false), requestSignal);
+    const data = await response.json();
+    const message = data?.choices?.[0]?.message;
+
+    // A reply that only calls tools has no text
+    if (message?.tool_calls?.length) {
+      reportToolCalls(message.tool_calls, onToolCall);
+      return message.content || '';
+    }
+    if (typeof message?.content !== 'string') {
+      throw new Error('Chat backend returned an unexpected response');
+    }
+
+    return message.content;
+  });
+
+  const stream = (messages, { onChunk, signal, tools, onToolCall } = {}) => withAbort(signal, async (requestSignal) => {
+    const response = await request(buildBody(messages, tools, true), requestSignal);
+    let content = '';
+    // Tool calls arrive in fragments keyed by index: id and name first, then the arguments
+    const toolCalls = [];
+
+    const append = (text) => {
+      if (!text) return;
+      content += text;
+      onChunk?.(text);
+    };
+
+    if (isEventStream(response)) {
+      await readSSEStream(response, (data) => {
+        try {
+          const payload = JSON.parse(data);
+          const delta = payload?.choices?.[0]?.delta;
+          append(delta?.content);
+          (delta?.tool_calls || []).forEach((fragment) => {
+            const index = fragment.index ?? toolCalls.length;
+            if (!toolCalls[index]) {
+              toolCalls[index] = { id: '', function: { name: '', arguments: '' } };
+            }
+            const call = toolCalls[index];
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+          });
+        } catch {
+          console.warn('Skipping malformed stream event:', data);
+        }
+      });
+    } else if ((response.headers.get('content-type') || '').includes('application/json')) {
+      // Server ignored stream: true and answered in one piece
+      const data = await response.json();
+      append(data?.choices?.[0]?.message?.content);
+      toolCalls.push(...(data?.choices?.[0]?.message?.tool_calls || []));
+    } else {
+      await readTextStream(response, append);
+    }
+
+    reportToolCalls(toolCalls, onToolCall);
+    return content;
+  });
+
+  const cancel = () => {
+    controllers.forEach(controller => controller.abort());
+    controllers.clear();
+  };
+
+  return {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    send,
+    stream,
+    cancel
+  };
+};
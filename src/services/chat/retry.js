@@ -0,0 +1,79 @@
+// Automatic retry with exponential backoff for transient chat backend failures
+
+import errorLogger from '../../utils/errorLogger.js';
+
+export const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 10000
+};
+
+// Statuses worth retrying: timeouts, rate limiting and temporary server trouble
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// Only transient HTTP statuses and failures the provider marked `transient` (the connection
+// failed or dropped) are retried. Aborts, other HTTP errors (bad request, auth...), malformed
+// responses and exceptions from callbacks fail immediately.
+export function isTransientError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  if (typeof error.status === 'number') return TRANSIENT_STATUSES.includes(error.status);
+  return error.transient === true;
+}
+
+// Delay before retry `attempt` (1-based): doubles each time, capped, with jitter so
+// clients that failed together don't all retry together
+export function getBackoffDelay(attempt, { baseDelay = RETRY_DEFAULTS.baseDelay, maxDelay = RETRY_DEFAULTS.maxDelay } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Run `operation(attempt)` until it succeeds, a non-transient error occurs or retries run out.
+// `onRetry({ attempt, delay, error })` fires before each backoff wait. Every failure is logged.
+export async function withRetry(operation, {
+  retries = RETRY_DEFAULTS.retries,
+  baseDelay = RETRY_DEFAULTS.baseDelay,
+  maxDelay = RETRY_DEFAULTS.maxDelay,
+  signal,
+  onRetry,
+  url = 'chat backend'
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      errorLogger.logNetworkError(error, error.url || url, 'Chat Provider');
+
+      // Going offline mid-request is handled by the outbox rather than by retrying
+      const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+      if (attempt >= retries || isOffline || !isTransientError(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt + 1, { baseDelay, maxDelay });
+      onRetry?.({ attempt: attempt + 1, delay, error });
+      await wait(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,85 @@
+// Helpers for consuming streamed HTTP responses (SSE and raw ReadableStream)
+
+// Read a fetch Response body as decoded text chunks
+export async function readTextStream(response, onChunk) {
+  if (!response.body?.getReader) {
+    const text = await response.text();
+    if (text) onChunk(text);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  try {
+    while (true) {
+      let result;
+      try {
+        result = await reader.read();
+      } catch (error) {
+        // The connection dropped mid-response; worth retrying, unlike errors from onChunk
+        if (error.name !== 'AbortError') error.transient = true;
+        throw error;
+      }
+      const { done, value } = result;
+      if (done) break;
+
+      const text = decoder.decode(value, { stream: true });
+      if (text) onChunk(text);
+    }
+
+    const rest = decoder.decode();
+    if (rest) onChunk(rest);
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Read a Server-Sent Events response, calling onEvent with each event's data payload.
+// Stops early when the server sends the conventional "[DONE]" sentinel.
+export async function readSSEStream(response, onEvent) {
+  let buffer = '';
+  let dataLines = [];
+  let finished = false;
+
+  const dispatch = () => {
+    if (dataLines.length === 0) return;
+    const data = dataLines.join('\n');
+    dataLines = [];
+
+    if (data === '[DONE]') {
+      finished = true;
+      return;
+    }
+    onEvent(data);
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Comments (":") and other fields (event, id, retry) are ignored
+  };
+
+  await readTextStream(response, (text) => {
+    if (finished) return;
+    buffer += text;
+
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.forEach(line => {
+      if (!finished) processLine(line);
+    });
+  });
+
+  if (!finished) {
+    if (buffer) processLine(buffer);
+    dispatch();
+  }
+}
+
+export function isEventStream(response) {
+  return (response.headers.get('content-type') || '').includes('text/event-stream');
+}
@@ -0,0 +1,52 @@
+// Slash commands that ship with JARVIS; each one delegates to the chat window's command context
+
+import { THEMES } from '../../types/index.js';
+import { CONVERSATION_EXPORT_FORMATS } from '../../utils/conversationExport.js';
+
+export const builtinCommands = [
+  {
+    name: 'clear',
+    description: 'Remove every message from this conversation',
+    run: (args, context) => context.clearConversation()
+  },
+  {
+    name: 'new',
+    description: 'Start a new conversation',
+    run: (args, context) => context.startNewSession()
+  },
+  {
+    name: 'export',
+    description: 'Download this conversation',
+    args: [{ name: 'format', type: 'enum', options: CONVERSATION_EXPORT_FORMATS }],
+    run: ({ format = 'markdown' }, context) => context.exportConversation(format)
+  },
+  {
+    name: 'voice',
+    description: 'Turn voice control on or off',
+    args: [{ name: 'state', type: 'enum', options: ['on', 'off'] }],
+    // Without an argument it flips the current setting
+    run: ({ state }, context) => context.setVoiceEnabled(state ? state === 'on' : !context.settings.voiceEnabled)
+  },
+  {
+    name: 'theme',
+    description: 'Switch the interface colors',
+    args: [{ name: 'theme', type: 'enum', options: THEMES }],
+    // Without an argument it moves on to the next theme
+    run: ({ theme }, context) => {
+      const next = theme || THEMES[(THEMES.indexOf(context.settings.theme) + 1) % THEMES.length];
+      context.setTheme(next);
+    }
+  },
+  {
+    name: 'debug',
+    description: 'Show or hide the debug panel',
+    run: (args, context) => context.toggleDebugPanel()
+  },
+  {
+    name: 'help',
+    aliases: ['?', 'commands'],
+    description: 'List the available commands',
+    args: [{ name: 'command', type: 'string' }],
+    run: ({ command }, context) => context.showCommandHelp(command)
+  }
+];
@@ -0,0 +1,216 @@
+// Slash-command registry and parser
+//
+// A command is a plain object:
+//   name, description, aliases?          /name in the chat input
+//   args?: [{ name, description?, type, options?, required?, min?, max? }]
+//          type is 'string' | 'number' | 'enum' | 'rest' (the remaining text); enum args take
+//          `options` (an array, or a function returning one) and are matched case-insensitively
+//   run(args, context) -> void | Promise  args are keyed by arg name
+// `context` is the chat window's command context (conversation, settings and UI actions).
+
+import { builtinCommands } from './builtinCommands.js';
+
+const commands = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+const publish = () => {
+  snapshot = [...commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+  listeners.forEach(listener => listener());
+};
+
+// Thrown for input problems the user can fix; the message is shown as is
+export function createCommandError(message, command) {
+  const error = new Error(message);
+  error.name = 'CommandError';
+  error.command = command?.name;
+  return error;
+}
+
+export function subscribeSlashCommands(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getSlashCommands() {
+  return snapshot;
+}
+
+// Register a command; returns a function that removes it again
+export function registerSlashCommand(command) {
+  if (!command?.name || !/^[a-z][\w-]*$/.test(command.name) || typeof command.run !== 'function') {
+    throw new Error('Slash commands need a lowercase name and a run(args, context) function');
+  }
+  if (commands.has(command.name)) {
+    console.warn(`Slash command "/${command.name}" was registered twice; the last one wins`);
+  }
+
+  commands.set(command.name, command);
+  publish();
+  return () => {
+    if (commands.get(command.name) === command) {
+      commands.delete(command.name);
+      publish();
+    }
+  };
+}
+
+export function findSlashCommand(name) {
+  const key = name.toLowerCase();
+  return commands.get(key) || snapshot.find(command => command.aliases?.includes(key)) || null;
+}
+
+const getOptions = (arg) => (typeof arg.options === 'function' ? arg.options() : arg.options || []);
+
+export function getCommandUsage(command) {
+  const args = (command.args || []).map((arg) => {
+    const label = arg.type === 'enum' ? getOptions(arg).join('|') : arg.name;
+    return arg.required ? `<${label}>` : `[${label}]`;
+  });
+  return [`/${command.name}`, ...args].join(' ');
+}
+
+// Split on whitespace, keeping "quoted text" together
+export function tokenizeArgs(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+// "/name rest of line" → { name, argText }; "//text" is an escaped message, not a command
+export function parseSlashInput(input) {
+  const match = /^\/([^\s/]*)(?:\s+([\s\S]*))?$/.exec(input.trim());
+  if (!match) return null;
+  return { name: match[1], argText: match[2] || '' };
+}
+
+const parseArg = (command, arg, token) => {
+  if (arg.type === 'number') {
+    const value = Number(token);
+    if (Number.isNaN(value)) {
+      throw createCommandError(`"${token}" is not a number. Usage: ${getCommandUsage(command)}`, command);
+    }
+    if ((arg.min !== undefined && value < arg.min) || (arg.max !== undefined && value > arg.max)) {
+      throw createCommandError(`${arg.name} must be between ${arg.min ?? '-∞'} and ${arg.max ?? '∞'}`, command);
+    }
+    return value;
+  }
+
+  if (arg.type === 'enum') {
+    const options = getOptions(arg);
+    const value = options.find(option => option.toLowerCase() === token.toLowerCase());
+    if (!value) {
+      throw createCommandError(`"${token}" is not a valid ${arg.name}. Choose one of: ${options.join(', ')}`, command);
+    }
+    return value;
+  }
+
+  return token;
+};
+
+// Validate argText against command.args and return the parsed values by name
+export function parseCommandArgs(command, argText) {
+  const specs = command.args || [];
+  const tokens = tokenizeArgs(argText);
+  const args = {};
+
+  specs.forEach((arg, index) => {
+    if (arg.type === 'rest') {
+      const rest = tokens.slice(index).join(' ');
+      if (rest) args[arg.name] = rest;
+    } else if (tokens[index] !== undefined) {
+      args[arg.name] = parseArg(command, arg, tokens[index]);
+    }
+
+    if (arg.required && args[arg.name] === undefined) {
+      throw createCommandError(`Missing ${arg.name}. Usage: ${getCommandUsage(command)}`, command);
+    }
+  });
+
+  const takesRest = specs.some(arg => arg.type === 'rest');
+  if (!takesRest && tokens.length > specs.length) {
+    throw createCommandError(`Too many arguments. Usage: ${getCommandUsage(command)}`, command);
+  }
+
+  return args;
+}
+
+// Run a slash command typed in the chat input. Resolves false when the input isn't a command.
+export async function runSlashCommand(input, context) {
+  const parsed = parseSlashInput(input);
+  if (!parsed) return false;
+
+  const command = findSlashCommand(parsed.name);
+  if (!command) {
+    throw createCommandError(`Unknown command "/${parsed.name}". Type /help to see what's available.`);
+  }
+
+  await command.run(parseCommandArgs(command, parsed.argText), context);
+  return true;
+}
+
+// Completions for what has been typed so far: command names while the name is being typed,
+// then the options of the enum argument under the cursor (or a usage hint for free-form ones).
+// Each suggestion's `value` is the full input it completes to; kind is 'command' | 'argument' | 'hint'.
+export function getSlashSuggestions(input, availableCommands = snapshot) {
+  const parsed = parseSlashInput(input);
+  if (!parsed) return [];
+
+  const isTypingName = !/\s/.test(input.trim().slice(1)) && !/\s$/.test(input);
+  if (isTypingName) {
+    const query = parsed.name.toLowerCase();
+    const matches = availableCommands.filter(command => (
+      command.name.includes(query) || command.aliases?.some(alias => alias.startsWith(query))
+    ));
+    // Prefix matches first
+    matches.sort((a, b) => Number(!a.name.startsWith(query)) - Number(!b.name.startsWith(query)));
+    return matches.map(command => ({
+      id: command.name,
+      kind: 'command',
+      value: `/${command.name}${command.args?.length ? ' ' : ''}`,
+      label: getCommandUsage(command),
+      description: command.description,
+      command
+    }));
+  }
+
+  const command = findSlashCommand(parsed.name);
+  if (!command?.args?.length) return [];
+
+  const tokens = tokenizeArgs(parsed.argText);
+  const isNewToken = /\s$/.test(input) || tokens.length === 0;
+  const index = isNewToken ? tokens.length : tokens.length - 1;
+  const arg = command.args[index];
+  if (!arg) return [];
+
+  const partial = isNewToken ? '' : tokens[index].toLowerCase();
+  const previous = tokens.slice(0, index);
+
+  if (arg.type !== 'enum') {
+    return [{
+      id: `${command.name}:${arg.name}`,
+      kind: 'hint',
+      value: input,
+      label: getCommandUsage(command),
+      description: arg.description || command.description,
+      command
+    }];
+  }
+
+  return getOptions(arg)
+    .filter(option => option.toLowerCase().startsWith(partial))
+    .map(option => ({
+      id: `${command.name}:${option}`,
+      kind: 'argument',
+      value: ['/' + command.name, ...previous, option].join(' '),
+      label: option,
+      description: arg.description || command.description,
+      command
+    }));
+}
+
+builtinCommands.forEach(registerSlashCommand);
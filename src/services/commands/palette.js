@@ -0,0 +1,78 @@
+// Command palette: actions registered from anywhere in the app, whether the palette is open,
+// and the actions run most recently
+//
+// An action is a plain object:
+//   id, title                 id must be unique; title is what the palette shows and searches
+//   group?, keywords?         heading it is listed under, extra words it can be found by
+//   shortcutId?, shortcut?    id of the keyboard shortcut that does the same (its current keys are
+//                             shown), or display text such as 'Space'
+//   icon?                     a lucide icon component
+//   perform() -> void | Promise
+
+import { getFromStorage, setToStorage } from '../../utils/index.js';
+import ExternalStore from '../externalStore.js';
+
+const RECENT_STORAGE_KEY = 'jarvis.paletteRecent';
+const RECENT_LIMIT = 5;
+
+class CommandPalette extends ExternalStore {
+  constructor() {
+    const recentIds = getFromStorage(RECENT_STORAGE_KEY, []);
+    super({
+      isOpen: false,
+      actions: [],
+      recentIds: Array.isArray(recentIds) ? recentIds : []
+    });
+    this.actions = new Map();
+
+    // Passed around as event handlers
+    this.setOpen = this.setOpen.bind(this);
+    this.toggle = this.toggle.bind(this);
+  }
+
+  // Register an action; returns a function that removes it again
+  registerAction(action) {
+    if (!action?.id || !action.title || typeof action.perform !== 'function') {
+      throw new Error('Palette actions need an id, a title and a perform() function');
+    }
+    if (this.actions.has(action.id)) {
+      console.warn(`Palette action "${action.id}" was registered twice; the last one wins`);
+    }
+
+    this.actions.set(action.id, action);
+    this.update({ actions: [...this.actions.values()] });
+    return () => {
+      if (this.actions.get(action.id) === action) {
+        this.actions.delete(action.id);
+        this.update({ actions: [...this.actions.values()] });
+      }
+    };
+  }
+
+  setOpen(isOpen) {
+    if (isOpen !== this.snapshot.isOpen) {
+      this.update({ isOpen });
+    }
+  }
+
+  toggle() {
+    this.setOpen(!this.snapshot.isOpen);
+  }
+
+  // Close the palette, remember the action and run it; errors are left to the caller
+  async run(id) {
+    const action = this.actions.get(id);
+    if (!action) return;
+
+    const recentIds = [id, ...this.snapshot.recentIds.filter(recentId => recentId !== id)].slice(0, RECENT_LIMIT);
+    setToStorage(RECENT_STORAGE_KEY, recentIds);
+    this.update({ isOpen: false, recentIds });
+
+    await action.perform();
+  }
+}
+
+const commandPalette = new CommandPalette();
+
+export { CommandPalette, commandPalette };
+export default commandPalette;
@@ -0,0 +1,218 @@
+// Central runtime configuration
+//
+// Values are resolved in increasing order of precedence:
+//   1. built-in defaults
+//   2. VITE_* env vars baked in at build time
+//   3. /config.json fetched at startup (lets one build serve many deployments)
+//   4. URL query parameters (?agentId=...&provider=...&model=...)
+
+import { validateAgentId } from '../utils/index.js';
+import errorLogger from '../utils/errorLogger.js';
+import { getChatProviderConfig } from './chat/index.js';
+import { getTtsConfig } from './tts/index.js';
+import { getWidgetScriptConfig, WIDGET_SCRIPT_VERSION } from './voice/widgetScript.js';
+import { SCRIPT_LOAD_DEFAULTS } from './scriptLoader.js';
+
+// Only harmless values may come from the URL: a crafted link must not be able to
+// point the chat backend (and its API key) at another server
+const QUERY_OVERRIDES = {
+  agentId: (config, value) => ({ ...config, agentId: value }),
+  provider: (config, value) => ({ ...config, chat: { ...config.chat, provider: value } }),
+  model: (config, value) => ({ ...config, chat: { ...config.chat, model: value } })
+};
+
+// Config failures carry the full list of problems for the startup error screen
+const createConfigError = (message, problems) => {
+  const error = new Error(message);
+  error.name = 'ConfigError';
+  error.problems = problems;
+  return error;
+};
+
+let currentConfig = null;
+
+export function getDefaultConfig() {
+  return {
+    agentId: '',
+    chat: {
+      provider: 'demo',
+      baseUrl: undefined,
+      apiKey: '',
+      model: undefined,
+      systemPrompt: ''
+    },
+    tts: {
+      engine: 'browser',
+      url: undefined,
+      voicesUrl: undefined,
+      apiKey: ''
+    },
+    // ElevenLabs embed script; scriptUrl overrides the unpkg URL built from version
+    widget: {
+      scriptUrl: undefined,
+      version: WIDGET_SCRIPT_VERSION,
+      integrity: undefined,
+      timeout: SCRIPT_LOAD_DEFAULTS.timeout,
+      retries: SCRIPT_LOAD_DEFAULTS.retries
+    }
+  };
+}
+
+// Drop unset values so they don't override lower-precedence sources
+const compact = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== undefined && value !== '')
+);
+
+const mergeConfig = (base, overrides = {}) => ({
+  ...base,
+  ...compact({ agentId: overrides.agentId }),
+  chat: { ...base.chat, ...compact(overrides.chat || {}) },
+  tts: { ...base.tts, ...compact(overrides.tts || {}) },
+  widget: { ...base.widget, ...compact(overrides.widget || {}) }
+});
+
+export function readEnvConfig(env = import.meta.env) {
+  return {
+    agentId: env.VITE_ELEVENLABS_AGENT_ID,
+    chat: getChatProviderConfig(env),
+    tts: getTtsConfig(env),
+    widget: getWidgetScriptConfig(env)
+  };
+}
+
+// Fetch the deployment config file; a missing file is fine, a broken one is not
+export async function fetchConfigFile(url, fetchImpl = fetch) {
+  let response;
+  try {
+    response = await fetchImpl(url, { cache: 'no-store' });
+  } catch (error) {
+    errorLogger.warn('Runtime config file could not be fetched', { url, errorMessage: error.message }, 'Config');
+    return null;
+  }
+
+  // Dev servers and SPA hosts answer unknown paths with index.html
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || contentType.includes('text/html')) {
+    return null;
+  }
+
+  try {
+    const data = await response.json();
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected a JSON object');
+    }
+    return data;
+  } catch (error) {
+    throw createConfigError(`${url} is not valid`, [`Could not parse ${url}: ${error.message}`]);
+  }
+}
+
+export function readQueryConfig(config, search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return Object.entries(QUERY_OVERRIDES).reduce((result, [key, apply]) => {
+    const value = params.get(key);
+    return value ? apply(result, value) : result;
+  }, config);
+}
+
+// Return a list of human readable problems; empty means the config is usable
+export function validateConfig(config, { providerIds = [], ttsEngineIds = [] } = {}) {
+  const problems = [];
+
+  if (config.agentId && !validateAgentId(config.agentId)) {
+    problems.push(`"${config.agentId}" is not a valid ElevenLabs agent ID (expected agent_...).`);
+  }
+
+  if (providerIds.length > 0 && !providerIds.includes(config.chat.provider)) {
+    problems.push(`Unknown chat provider "${config.chat.provider}". Available providers: ${providerIds.join(', ')}.`);
+  }
+
+  if (config.chat.baseUrl) {
+    try {
+      new URL(config.chat.baseUrl);
+    } catch {
+      problems.push(`Chat API URL "${config.chat.baseUrl}" is not a valid URL.`);
+    }
+  }
+
+  if (ttsEngineIds.length > 0 && !ttsEngineIds.includes(config.tts.engine)) {
+    problems.push(`Unknown TTS engine "${config.tts.engine}". Available engines: ${ttsEngineIds.join(', ')}.`);
+  }
+
+  if (config.tts.engine === 'http' && !config.tts.url) {
+    problems.push('The "http" TTS engine needs a server URL. Set VITE_TTS_URL or "tts.url" in config.json.');
+  }
+
+  const { widget } = config;
+  if (widget.scriptUrl) {
+    try {
+      // Relative URLs are fine for a self-hosted copy
+      new URL(widget.scriptUrl, window.location.href);
+    } catch {
+      problems.push(`Widget script URL "${widget.scriptUrl}" is not a valid URL.`);
+    }
+  }
+
+  if (widget.integrity && !/^sha(256|384|512)-[A-Za-z0-9+/=]+$/.test(widget.integrity)) {
+    problems.push(`Widget script integrity "${widget.integrity}" must look like "sha384-<base64 hash>".`);
+  }
+
+  if (!(widget.timeout > 0)) {
+    problems.push('Widget script timeout must be a positive number of milliseconds.');
+  }
+
+  if (!Number.isInteger(widget.retries) || widget.retries < 0) {
+    problems.push('Widget script retries must be a whole number, 0 or more.');
+  }
+
+  return problems;
+}
+
+// Things that work but leave a feature off; logged at startup, never fatal
+export function getConfigWarnings(config) {
+  const warnings = [];
+
+  if (!config.agentId) {
+    warnings.push('No ElevenLabs agent ID configured, so the voice widget is off and voice input uses browser speech. Set VITE_ELEVENLABS_AGENT_ID, "agentId" in config.json, or ?agentId= in the URL.');
+  }
+
+  return warnings;
+}
+
+// Resolve every config source, validate the result and make it the current config
+export async function loadConfig({
+  env = import.meta.env,
+  search = window.location.search,
+  fetchImpl = fetch,
+  providerIds,
+  ttsEngineIds
+} = {}) {
+  const configUrl = env.VITE_CONFIG_URL || `${env.BASE_URL || '/'}config.json`;
+
+  let config = mergeConfig(getDefaultConfig(), readEnvConfig(env));
+  config = mergeConfig(config, await fetchConfigFile(configUrl, fetchImpl) || {});
+  config = readQueryConfig(config, search);
+
+  const problems = validateConfig(config, { providerIds, ttsEngineIds });
+  if (problems.length > 0) {
+    errorLogger.error('Invalid runtime configuration', { problems }, 'Config');
+    throw createConfigError('JARVIS is not configured correctly', problems);
+  }
+  getConfigWarnings(config).forEach(warning => errorLogger.warn(warning, null, 'Config'));
+
+  currentConfig = config;
+  errorLogger.info('Runtime configuration loaded', {
+    agentId: config.agentId,
+    provider: config.chat.provider,
+    ttsEngine: config.tts.engine,
+    widgetScript: config.widget.scriptUrl || config.widget.version
+  }, 'Config');
+  return currentConfig;
+}
+
+export function getConfig() {
+  if (!currentConfig) {
+    throw new Error('Config has not been loaded yet; call loadConfig() at startup');
+  }
+  return currentConfig;
+}
@@ -0,0 +1,216 @@
+// Conversation persistence - IndexedDB with a localStorage fallback
+
+import { getFromStorage, setToStorage } from '../utils/index.js';
+import errorLogger from '../utils/errorLogger.js';
+import { openDatabase, promisifyRequest, isIndexedDBAvailable, SESSIONS_STORE as STORE_NAME } from './database.js';
+import recordingStore from './recordingStore.js';
+import toolPermissions from './tools/permissions.js';
+
+const FALLBACK_STORAGE_KEY = 'jarvis.sessions';
+const ACTIVE_SESSION_KEY = 'jarvis.activeSessionId';
+const TITLE_MAX_LENGTH = 40;
+
+export const DEFAULT_SESSION_TITLE = 'New conversation';
+
+// Session shape persisted by the store
+export const createSession = (messages = []) => {
+  const now = new Date();
+  return {
+    id: crypto.randomUUID(),
+    title: DEFAULT_SESSION_TITLE,
+    hasCustomTitle: false,
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    messages
+  };
+};
+
+// Derive a title from the first user message
+export function deriveSessionTitle(messages) {
+  const firstUserMessage = messages.find(message => message.sender === 'user' && message.content);
+  if (!firstUserMessage) return DEFAULT_SESSION_TITLE;
+
+  const text = firstUserMessage.content.replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+}
+
+const settleStatus = (status) => (['streaming', 'retrying', 'sending'].includes(status) ? 'cancelled' : status);
+
+// Restore Date objects and settle replies that were interrupted mid-stream
+const reviveSession = (session) => ({
+  ...session,
+  createdAt: new Date(session.createdAt),
+  updatedAt: new Date(session.updatedAt),
+  messages: (session.messages || []).map(message => ({
+    ...message,
+    timestamp: new Date(message.timestamp),
+    status: settleStatus(message.status),
+    ...(message.versions && {
+      versions: message.versions.map(version => ({ ...version, status: settleStatus(version.status) }))
+    }),
+    ...(message.toolCalls && {
+      toolCalls: message.toolCalls.map(call => (call.status === 'running' || call.status === 'awaiting' ? { ...call, status: 'cancelled' } : call))
+    })
+  }))
+});
+
+// IndexedDB backend
+const indexedDBBackend = {
+  async getAll() {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+  },
+  async get(id) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(id));
+  },
+  async put(session) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(session));
+  },
+  async delete(id) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(id));
+  }
+};
+
+// localStorage backend built on the shared storage helpers
+const localStorageBackend = {
+  async getAll() {
+    return Object.values(getFromStorage(FALLBACK_STORAGE_KEY, {}));
+  },
+  async get(id) {
+    return getFromStorage(FALLBACK_STORAGE_KEY, {})[id];
+  },
+  async put(session) {
+    const sessions = getFromStorage(FALLBACK_STORAGE_KEY, {});
+    sessions[session.id] = session;
+    if (!setToStorage(FALLBACK_STORAGE_KEY, sessions)) {
+      throw new Error('Failed to save conversation to localStorage');
+    }
+  },
+  async delete(id) {
+    const sessions = getFromStorage(FALLBACK_STORAGE_KEY, {});
+    delete sessions[id];
+    setToStorage(FALLBACK_STORAGE_KEY, sessions);
+  }
+};
+
+// The more recently updated of two copies of a session
+const newer = (a, b) => {
+  if (!a || !b) return a || b;
+  return new Date(b.updatedAt) > new Date(a.updatedAt) ? b : a;
+};
+
+class ConversationStore {
+  constructor() {
+    this.hasIndexedDB = isIndexedDBAvailable();
+    this.listeners = new Set();
+  }
+
+  // Run an operation on IndexedDB, using localStorage for this call only if it fails. Errors
+  // such as a blocked upgrade, a full quota or an aborted transaction pass, so the next call
+  // tries IndexedDB again.
+  async run(operation, ...args) {
+    if (!this.hasIndexedDB) return localStorageBackend[operation](...args);
+
+    try {
+      return await indexedDBBackend[operation](...args);
+    } catch (error) {
+      errorLogger.warn('IndexedDB operation failed, using localStorage for it', {
+        operation,
+        errorMessage: error?.message
+      }, 'Conversation Store');
+      return localStorageBackend[operation](...args);
+    }
+  }
+
+  // Conversations saved to localStorage while IndexedDB was failing
+  async getFallback(operation, ...args) {
+    return this.hasIndexedDB ? localStorageBackend[operation](...args) : undefined;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  // All sessions, pinned first, then most recently updated
+  async listSessions() {
+    const byId = new Map();
+    [...await this.run('getAll'), ...(await this.getFallback('getAll') || [])].forEach((session) => {
+      byId.set(session.id, newer(byId.get(session.id), session));
+    });
+    return [...byId.values()]
+      .map(reviveSession)
+      .sort((a, b) => (Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))) || (b.updatedAt - a.updatedAt));
+  }
+
+  async getSession(id) {
+    const session = newer(await this.run('get', id), await this.getFallback('get', id));
+    return session ? reviveSession(session) : null;
+  }
+
+  // Pass touch: false for metadata-only changes that shouldn't reorder the list
+  async saveSession(session, { touch = true } = {}) {
+    const saved = {
+      ...session,
+      title: session.hasCustomTitle ? session.title : deriveSessionTitle(session.messages),
+      updatedAt: touch ? new Date() : session.updatedAt
+    };
+    await this.run('put', saved);
+    this.notify();
+    return saved;
+  }
+
+  async renameSession(id, title) {
+    const session = await this.getSession(id);
+    const trimmed = title?.trim();
+    if (!session || !trimmed) return null;
+
+    return this.saveSession({ ...session, title: trimmed, hasCustomTitle: true }, { touch: false });
+  }
+
+  async pinSession(id, pinned) {
+    const session = await this.getSession(id);
+    if (!session) return null;
+
+    return this.saveSession({ ...session, pinned: Boolean(pinned) }, { touch: false });
+  }
+
+  async deleteSession(id) {
+    await this.run('delete', id);
+    await this.getFallback('delete', id);
+    // Recordings belong to the conversation and go with it
+    recordingStore.deleteSessionRecordings(id).catch((error) => {
+      errorLogger.warn('Recordings of a deleted conversation could not be removed', {
+        sessionId: id,
+        errorMessage: error?.message
+      }, 'Conversation Store');
+    });
+    toolPermissions.reset(id);
+    if (this.getActiveSessionId() === id) {
+      this.setActiveSessionId(null);
+    }
+    this.notify();
+  }
+
+  getActiveSessionId() {
+    return getFromStorage(ACTIVE_SESSION_KEY, null);
+  }
+
+  setActiveSessionId(id) {
+    setToStorage(ACTIVE_SESSION_KEY, id);
+  }
+}
+
+// Create singleton instance
+const conversationStore = new ConversationStore();
+
+export { ConversationStore, conversationStore };
+export default conversationStore;
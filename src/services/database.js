@@ -0,0 +1,53 @@
+// Shared IndexedDB database for conversations and voice recordings
+
+const DB_NAME = 'jarvis';
+const DB_VERSION = 2;
+
+export const SESSIONS_STORE = 'sessions';
+export const RECORDINGS_STORE = 'recordings';
+
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined';
+
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      // Each store is created only if missing, so upgrading from any older version works
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+          const recordings = db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id' });
+          recordings.createIndex('sessionId', 'sessionId');
+          recordings.createIndex('messageId', 'messageId');
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app in another tab upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Conversation database is blocked by another tab'));
+    });
+    // A failed open can be retried on the next call
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
@@ -0,0 +1,31 @@
+// Base class for the singleton services React reads with useSyncExternalStore
+//
+// Holds an immutable snapshot that update() replaces and announces to subscribers.
+// subscribe and getSnapshot are bound once, so they can be passed to the hook as they are.
+
+export class ExternalStore {
+  constructor(snapshot) {
+    this.snapshot = snapshot;
+    this.listeners = new Set();
+
+    // Stable references for useSyncExternalStore
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  update(changes) {
+    this.snapshot = { ...this.snapshot, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+export default ExternalStore;
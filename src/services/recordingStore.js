@@ -0,0 +1,100 @@
+// Voice recordings, stored per conversation in IndexedDB
+//
+// Audio blobs are far too large for localStorage, so there is no fallback: without
+// IndexedDB recording is simply unavailable. A recording is
+// { id, sessionId, source: 'microphone' | 'speech', messageId, mimeType, blob, startedAt, endedAt }
+// where microphone recordings span a whole voice turn and speech recordings hold the
+// audio of one spoken reply (messageId).
+
+import { openDatabase, promisifyRequest, isIndexedDBAvailable, RECORDINGS_STORE as STORE_NAME } from './database.js';
+
+const reviveRecording = (recording) => ({
+  ...recording,
+  startedAt: new Date(recording.startedAt),
+  endedAt: new Date(recording.endedAt)
+});
+
+const getAllFromIndex = async (indexName, key) => {
+  const db = await openDatabase();
+  return promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).index(indexName).getAll(key));
+};
+
+class RecordingStore {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  isSupported() {
+    return isIndexedDBAvailable() && typeof MediaRecorder !== 'undefined';
+  }
+
+  // Called with the session id whose recordings changed
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(sessionId) {
+    this.listeners.forEach(listener => listener(sessionId));
+  }
+
+  async saveRecording({ sessionId, source = 'microphone', messageId = null, mimeType, blob, startedAt, endedAt = new Date() }) {
+    const recording = {
+      id: crypto.randomUUID(),
+      sessionId,
+      source,
+      messageId,
+      mimeType: mimeType || blob.type,
+      blob,
+      startedAt,
+      endedAt
+    };
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(recording));
+    this.notify(sessionId);
+    return recording;
+  }
+
+  // Recordings of a conversation, oldest first
+  async listRecordings(sessionId) {
+    if (!isIndexedDBAvailable() || !sessionId) return [];
+    const recordings = await getAllFromIndex('sessionId', sessionId);
+    return recordings.map(reviveRecording).sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  async hasMessageRecording(messageId) {
+    const db = await openDatabase();
+    const count = await promisifyRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).index('messageId').count(messageId));
+    return count > 0;
+  }
+
+  async deleteSessionRecordings(sessionId) {
+    if (!isIndexedDBAvailable()) return;
+    const db = await openDatabase();
+    const deleted = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const request = transaction.objectStore(STORE_NAME).index('sessionId').openCursor(sessionId);
+      let count = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          count += 1;
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve(count);
+      transaction.onerror = () => reject(transaction.error);
+    });
+    if (deleted > 0) {
+      this.notify(sessionId);
+    }
+  }
+}
+
+// Create singleton instance
+const recordingStore = new RecordingStore();
+
+export { RecordingStore, recordingStore };
+export default recordingStore;
@@ -0,0 +1,93 @@
+// Load third-party scripts once per URL, with Subresource Integrity, a timeout and retries
+//
+// Concurrent and repeated calls for the same URL share one load (and the first caller's
+// onStatus). A load that finally fails is forgotten, so calling again starts over.
+
+import { getBackoffDelay } from './chat/retry.js';
+
+export const SCRIPT_LOAD_DEFAULTS = {
+  timeout: 15000,
+  retries: 2,
+  baseDelay: 1000,
+  maxDelay: 8000
+};
+
+const loads = new Map();
+
+// reason is 'timeout' or 'error'; browsers report a failed integrity check as a plain error
+const createScriptError = (url, reason, timeout) => {
+  const error = new Error(reason === 'timeout'
+    ? `Script timed out after ${Math.round(timeout / 1000)}s: ${url}`
+    : `Script failed to load (network error or integrity mismatch): ${url}`);
+  error.name = 'ScriptLoadError';
+  error.url = url;
+  error.reason = reason;
+  return error;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const injectScript = (url, { integrity, timeout }) => new Promise((resolve, reject) => {
+  const script = document.createElement('script');
+  script.src = url;
+  script.async = true;
+  if (integrity) {
+    // SRI on a cross-origin script needs a CORS request
+    script.integrity = integrity;
+    script.crossOrigin = 'anonymous';
+  }
+
+  const fail = (reason) => {
+    clearTimeout(timer);
+    script.onload = null;
+    script.onerror = null;
+    script.remove();
+    reject(createScriptError(url, reason, timeout));
+  };
+  const timer = setTimeout(() => fail('timeout'), timeout);
+
+  script.onload = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  script.onerror = () => fail('error');
+  document.head.appendChild(script);
+});
+
+// onStatus({ status: 'loading' | 'retrying' | 'loaded' | 'failed', attempt, delay, error })
+// fires as the load progresses; attempt is 1-based.
+export function loadScript(url, {
+  integrity,
+  timeout = SCRIPT_LOAD_DEFAULTS.timeout,
+  retries = SCRIPT_LOAD_DEFAULTS.retries,
+  baseDelay = SCRIPT_LOAD_DEFAULTS.baseDelay,
+  maxDelay = SCRIPT_LOAD_DEFAULTS.maxDelay,
+  onStatus
+} = {}) {
+  if (loads.has(url)) return loads.get(url);
+
+  const load = (async () => {
+    for (let attempt = 1; ; attempt++) {
+      onStatus?.({ status: 'loading', attempt });
+      try {
+        await injectScript(url, { integrity, timeout });
+        onStatus?.({ status: 'loaded', attempt });
+        return;
+      } catch (error) {
+        error.attempts = attempt;
+        if (attempt > retries) {
+          onStatus?.({ status: 'failed', attempt, error });
+          throw error;
+        }
+
+        const delay = getBackoffDelay(attempt, { baseDelay, maxDelay });
+        onStatus?.({ status: 'retrying', attempt, delay, error });
+        await wait(delay);
+      }
+    }
+  })();
+
+  loads.set(url, load);
+  load.catch(() => loads.delete(url));
+  return load;
+}
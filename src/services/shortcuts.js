@@ -0,0 +1,270 @@
+// Keyboard shortcut registry: one document listener for every shortcut in the app
+//
+// A shortcut is a plain object:
+//   id, description
+//   keys               default binding, e.g. 'mod+k', 'escape', 'space', '?'
+//                      ('mod' is Ctrl, or ⌘ on macOS; either is accepted)
+//   scope?             'global' (default) | 'chat' | 'dialog'
+//   allowInInput?      also fire while typing in a text field
+//   onPress(event)     return false when there was nothing to do, so the key keeps its default
+//   onRelease?(event)  called on keyup after a handled press (hold-to-talk)
+//
+// 'dialog' shortcuts only fire inside an open dialog, 'chat' shortcuts only outside one and
+// 'global' ones everywhere. Keys without a modifier never fire on buttons, links, form controls
+// or scrollable elements, so Space and the arrow keys keep their usual meaning there.
+
+import ExternalStore from './externalStore.js';
+
+export const SHORTCUT_SCOPES = ['global', 'chat', 'dialog'];
+
+const MODIFIERS = ['mod', 'alt', 'shift'];
+const MODIFIER_ALIASES = {
+  ctrl: 'mod',
+  control: 'mod',
+  cmd: 'mod',
+  command: 'mod',
+  meta: 'mod',
+  option: 'alt'
+};
+const KEY_ALIASES = {
+  ' ': 'space',
+  esc: 'escape',
+  return: 'enter',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright'
+};
+const KEY_LABELS = {
+  mod: 'Ctrl/⌘',
+  alt: 'Alt',
+  shift: 'Shift',
+  escape: 'Esc',
+  space: 'Space',
+  enter: 'Enter',
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→'
+};
+
+const DIALOG_SELECTOR = '[role="dialog"], [role="alertdialog"]';
+const EDITABLE_SELECTOR = 'input, textarea, select, [contenteditable]:not([contenteditable="false"]), [role="textbox"], [role="combobox"]';
+const INTERACTIVE_SELECTOR = `${EDITABLE_SELECTOR}, button, a[href], summary, [role="button"], [role="link"], [role="checkbox"], [role="switch"], [role="menuitem"], [role="option"], [role="tab"], [role="slider"]`;
+
+// Shift is part of the character for symbols ('?' is Shift + /), so it only counts for
+// letters and named keys
+const usesShift = (key) => key.length > 1 || /^[a-z]$/.test(key);
+
+const toCombo = (modifiers, key) => [...MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+
+// 'Ctrl+Shift+K' -> 'mod+shift+k'; null when there is no (or more than one) non-modifier key
+export function normalizeKeys(keys) {
+  if (typeof keys !== 'string' || !keys.trim()) return null;
+
+  // '+' on its own (or last) is the key itself
+  const parts = keys.toLowerCase().trim().split(/\+(?!$)/).map(part => part.trim() || ' ');
+  const modifiers = new Set();
+  let key = null;
+  for (const part of parts) {
+    const modifier = MODIFIER_ALIASES[part] || part;
+    if (MODIFIERS.includes(modifier)) {
+      modifiers.add(modifier);
+    } else if (key) {
+      return null;
+    } else {
+      key = KEY_ALIASES[part] || part;
+    }
+  }
+  if (!key) return null;
+  if (!usesShift(key)) modifiers.delete('shift');
+  return toCombo(modifiers, key);
+}
+
+// The combo a keyboard event stands for, or null for a lone modifier key
+export function getEventKeys(event) {
+  if (!event.key || ['Control', 'Meta', 'Alt', 'Shift', 'Dead'].includes(event.key)) return null;
+
+  const key = KEY_ALIASES[event.key] || event.key.toLowerCase();
+  const modifiers = new Set();
+  if (event.ctrlKey || event.metaKey) modifiers.add('mod');
+  if (event.altKey) modifiers.add('alt');
+  if (event.shiftKey && usesShift(key)) modifiers.add('shift');
+  return toCombo(modifiers, key);
+}
+
+// 'mod+shift+k' -> 'Ctrl/⌘ + Shift + K'
+export function formatKeys(keys) {
+  if (!keys) return 'Not set';
+  return keys.split(/\+(?!$)/)
+    .map(part => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1)))
+    .join(' + ');
+}
+
+const hasModifier = (keys) => /^(mod|alt)\+/.test(keys);
+
+const scopesOverlap = (a, b) => a === 'global' || b === 'global' || a === b;
+
+const isScrollable = (element) => {
+  if (!(element instanceof HTMLElement) || element === document.body || element === document.documentElement) {
+    return false;
+  }
+  return element.scrollHeight > element.clientHeight && /(auto|scroll)/.test(getComputedStyle(element).overflowY);
+};
+
+class ShortcutManager extends ExternalStore {
+  constructor() {
+    super({ enabled: true, shortcuts: [], conflicts: {} });
+    this.shortcuts = new Map();
+    this.bindings = {};
+    this.enabled = true;
+    // id -> key of shortcuts whose onRelease is still owed a keyup
+    this.held = new Map();
+    this.isListening = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.releaseAll = this.releaseAll.bind(this);
+  }
+
+  // Effective binding: the user's remapping if there is one (null = unbound), else the default
+  getKeys(id) {
+    const shortcut = this.shortcuts.get(id);
+    if (!shortcut) return null;
+    return Object.hasOwn(this.bindings, id) ? normalizeKeys(this.bindings[id]) : normalizeKeys(shortcut.keys);
+  }
+
+  // Other shortcuts that `keys` would collide with if `id` were bound to it
+  findConflicts(id, keys, scope = this.shortcuts.get(id)?.scope || 'global') {
+    const combo = normalizeKeys(keys);
+    if (!combo) return [];
+    return [...this.shortcuts.values()].filter(shortcut => (
+      shortcut.id !== id &&
+      this.getKeys(shortcut.id) === combo &&
+      scopesOverlap(scope, shortcut.scope || 'global')
+    ));
+  }
+
+  publish() {
+    const shortcuts = [...this.shortcuts.values()].map(shortcut => ({
+      id: shortcut.id,
+      description: shortcut.description,
+      scope: shortcut.scope || 'global',
+      keys: this.getKeys(shortcut.id),
+      defaultKeys: normalizeKeys(shortcut.keys),
+      isCustom: Object.hasOwn(this.bindings, shortcut.id)
+    }));
+
+    const conflicts = {};
+    shortcuts.forEach((shortcut) => {
+      const others = this.findConflicts(shortcut.id, shortcut.keys, shortcut.scope);
+      if (others.length > 0) conflicts[shortcut.id] = others.map(other => other.id);
+    });
+
+    this.update({ enabled: this.enabled, shortcuts, conflicts });
+  }
+
+  // Settings: the master switch and the user's remappings ({ id: keys })
+  configure({ enabled = this.enabled, bindings = this.bindings } = {}) {
+    this.enabled = enabled;
+    this.bindings = bindings || {};
+    if (!enabled) this.releaseAll();
+    this.publish();
+  }
+
+  // Register a shortcut; returns a function that removes it again
+  register(shortcut) {
+    if (!shortcut?.id || !normalizeKeys(shortcut.keys) || typeof shortcut.onPress !== 'function') {
+      throw new Error('Shortcuts need an id, valid keys and an onPress(event) function');
+    }
+    if (shortcut.scope && !SHORTCUT_SCOPES.includes(shortcut.scope)) {
+      throw new Error(`Unknown shortcut scope "${shortcut.scope}"`);
+    }
+    if (this.shortcuts.has(shortcut.id)) {
+      console.warn(`Shortcut "${shortcut.id}" was registered twice; the last one wins`);
+    }
+
+    this.shortcuts.set(shortcut.id, shortcut);
+    const conflicts = this.findConflicts(shortcut.id, this.getKeys(shortcut.id), shortcut.scope);
+    if (conflicts.length > 0) {
+      // The earlier registration keeps the key until one of them is remapped
+      console.warn(`Shortcut "${shortcut.id}" (${formatKeys(this.getKeys(shortcut.id))}) conflicts with "${conflicts[0].id}"`);
+    }
+
+    this.listen();
+    this.publish();
+    return () => {
+      if (this.shortcuts.get(shortcut.id) === shortcut) {
+        this.shortcuts.delete(shortcut.id);
+        this.held.delete(shortcut.id);
+        this.publish();
+      }
+    };
+  }
+
+  listen() {
+    if (this.isListening || typeof document === 'undefined') return;
+    this.isListening = true;
+    document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('keyup', this.handleKeyUp);
+    // A key released while the window is in the background never sends keyup
+    window.addEventListener('blur', this.releaseAll);
+  }
+
+  canFire(shortcut, keys, target) {
+    const isInDialog = Boolean(target.closest?.(DIALOG_SELECTOR));
+    const scope = shortcut.scope || 'global';
+    if ((scope === 'chat' && isInDialog) || (scope === 'dialog' && !isInDialog)) return false;
+    if (shortcut.allowInInput) return true;
+    if (target.closest?.(EDITABLE_SELECTOR)) return false;
+    return hasModifier(keys) || (!target.closest?.(INTERACTIVE_SELECTOR) && !isScrollable(target));
+  }
+
+  handleKeyDown(event) {
+    if (!this.enabled || event.defaultPrevented) return;
+    const keys = getEventKeys(event);
+    if (!keys) return;
+
+    for (const shortcut of this.shortcuts.values()) {
+      if (this.getKeys(shortcut.id) !== keys) continue;
+
+      // Auto-repeat of a key that is being held down: swallow it, don't fire again
+      if (event.repeat) {
+        if (this.held.has(shortcut.id)) {
+          event.preventDefault();
+          return;
+        }
+        continue;
+      }
+
+      if (!this.canFire(shortcut, keys, event.target)) continue;
+      if (shortcut.onPress(event) === false) continue;
+
+      event.preventDefault();
+      if (shortcut.onRelease) {
+        this.held.set(shortcut.id, keys.split(/\+(?!$)/).pop());
+      }
+      return;
+    }
+  }
+
+  handleKeyUp(event) {
+    // Modifiers may already be up, so only the key itself has to match
+    const key = KEY_ALIASES[event.key] || event.key?.toLowerCase();
+    this.held.forEach((heldKey, id) => {
+      if (heldKey !== key) return;
+      this.held.delete(id);
+      this.shortcuts.get(id)?.onRelease?.(event);
+    });
+  }
+
+  releaseAll(event) {
+    this.held.forEach((_, id) => this.shortcuts.get(id)?.onRelease?.(event));
+    this.held.clear();
+  }
+}
+
+const shortcutManager = new ShortcutManager();
+
+export { ShortcutManager, shortcutManager };
+export default shortcutManager;
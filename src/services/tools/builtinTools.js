@@ -0,0 +1,130 @@
+// Tools every deployment gets: a clock, a calculator, a unit converter and a URL fetcher
+
+import { evaluateExpression } from './calculator.js';
+import { convertUnits, getUnitCategories } from './units.js';
+
+// Fetched pages are cut down so they fit in the model's context
+const FETCH_MAX_LENGTH = 4000;
+
+// Keep results readable without losing meaningful digits
+const roundResult = (value) => Number(value.toPrecision(12));
+
+const getUtcOffset = (date, timeZone) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part?.value.replace(/^GMT$/, 'GMT+00:00') || null;
+};
+
+export const builtinTools = [
+  {
+    name: 'get_current_time',
+    risk: 'low',
+    description: 'Get the current date and time, optionally in a specific IANA time zone (e.g. "Europe/London", "America/New_York"). Defaults to the user\'s local time zone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timeZone: { type: 'string', description: 'IANA time zone name' }
+      }
+    },
+    handler: async ({ timeZone } = {}) => {
+      const now = new Date();
+      const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      let formatted;
+      try {
+        formatted = new Intl.DateTimeFormat('en-US', {
+          timeZone: zone,
+          dateStyle: 'full',
+          timeStyle: 'long'
+        }).format(now);
+      } catch {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+      }
+
+      return {
+        timeZone: zone,
+        local: formatted,
+        utcOffset: getUtcOffset(now, zone),
+        iso: now.toISOString()
+      };
+    }
+  },
+  {
+    name: 'calculate',
+    risk: 'low',
+    description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, log (base 10), ln, exp, pow, min, max. Trigonometry uses radians.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'The expression, e.g. "(12.5 * 4) / sqrt(2)"' }
+      },
+      required: ['expression']
+    },
+    handler: async ({ expression }) => ({
+      expression,
+      result: roundResult(evaluateExpression(expression))
+    })
+  },
+  {
+    name: 'convert_units',
+    risk: 'low',
+    description: `Convert a value between units of the same kind. Known units: ${Object.entries(getUnitCategories())
+      .map(([category, units]) => `${category} (${units.join(', ')})`)
+      .join('; ')}.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number', description: 'The amount to convert' },
+        from: { type: 'string', description: 'Unit to convert from, as a symbol or name' },
+        to: { type: 'string', description: 'Unit to convert to, as a symbol or name' }
+      },
+      required: ['value', 'from', 'to']
+    },
+    handler: async ({ value, from, to }) => {
+      const conversion = convertUnits(value, from, to);
+      return { value, ...conversion, result: roundResult(conversion.result) };
+    }
+  },
+  {
+    name: 'fetch_url',
+    // Whatever is in the URL leaves the device
+    risk: 'high',
+    description: `Fetch a web page or API over HTTP(S) and return its text, cut to ${FETCH_MAX_LENGTH} characters. Only works for sites that allow cross-origin requests.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Absolute http:// or https:// URL' }
+      },
+      required: ['url']
+    },
+    handler: async ({ url }, { signal }) => {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        throw new Error(`"${url}" is not a valid URL`);
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Only http and https URLs can be fetched');
+      }
+
+      let response;
+      try {
+        response = await fetch(parsed, { signal });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new Error(`Could not reach ${parsed.host}; it may not allow requests from this page`);
+      }
+
+      const text = await response.text();
+      return {
+        url: parsed.href,
+        status: response.status,
+        contentType: response.headers.get('content-type'),
+        content: text.length > FETCH_MAX_LENGTH ? `${text.slice(0, FETCH_MAX_LENGTH)}…` : text,
+        truncated: text.length > FETCH_MAX_LENGTH
+      };
+    }
+  }
+];
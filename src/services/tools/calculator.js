@@ -0,0 +1,143 @@
+// Arithmetic expression evaluator for the calculator tool - no eval()
+//
+// Supports + - * / % ^ (right-associative), unary minus, parentheses, the constants pi and e,
+// and the functions below. Throws a plain Error describing the first problem found.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_]\w*)|(\*\*|[-+*/%^(),]))/iy;
+  let index = 0;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(index).trim()) break;
+      throw new Error(`Unexpected "${expression.slice(index).trim()[0]}" in expression`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+  }
+  return tokens;
+};
+
+export function evaluateExpression(expression) {
+  // Friendlier spellings models and people use; "x" only between operands, so max() survives
+  const tokens = tokenize(String(expression)
+    .replace(/×/g, '*')
+    .replace(/([\d.)]\s*)x(?=\s*[\d(.])/gi, '$1*')
+    .replace(/÷/g, '/'));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in expression`);
+    position += 1;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Expression ended unexpectedly');
+
+    if (token.type === 'number') return token.value;
+
+    if (token.type === 'name') {
+      if (token.value in CONSTANTS) return CONSTANTS[token.value];
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new Error(`Unknown function or constant "${token.value}"`);
+
+      expect('(');
+      const args = [parseExpression()];
+      while (isOp(',')) {
+        position += 1;
+        args.push(parseExpression());
+      }
+      expect(')');
+      return fn(...args);
+    }
+
+    if (token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    throw new Error(`Unexpected "${token.value}" in expression`);
+  };
+
+  const parseUnary = () => {
+    if (isOp('-') || isOp('+')) {
+      const sign = tokens[position++].value === '-' ? -1 : 1;
+      return sign * parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      position += 1;
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[position++].value;
+      const right = parseUnary();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      const right = parseTerm();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  if (tokens.length === 0) throw new Error('The expression is empty');
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in expression`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('The result is not a finite number');
+  }
+  return result;
+}
@@ -0,0 +1,200 @@
+// Tool registry for model function calling
+//
+// A tool is a plain object:
+//   name                          what the model calls it by ([a-zA-Z0-9_-], up to 64 characters)
+//   description                   tells the model what it does and when to use it
+//   parameters                    JSON schema for the arguments object
+//   risk?                         'low' runs without asking; 'medium' (the default) and 'high'
+//                                 wait for the user to approve the call (see permissions.js)
+//   handler(args, { signal })     -> Promise<result>, any JSON-serialisable value
+// Arguments are checked against `parameters` first (type, enum, required, minimum/maximum,
+// additionalProperties: false). Failed calls are reported back to the model, not to the user.
+
+import errorLogger from '../../utils/errorLogger.js';
+import { builtinTools } from './builtinTools.js';
+import toolPermissions, { TOOL_DECISIONS, TOOL_RISK_LEVELS } from './permissions.js';
+
+const tools = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+const publish = () => {
+  snapshot = [...tools.values()];
+  listeners.forEach(listener => listener());
+};
+
+// Thrown for calls the model got wrong; the message is passed back to it
+export function createToolError(message, tool) {
+  const error = new Error(message);
+  error.name = 'ToolError';
+  error.tool = tool;
+  return error;
+}
+
+export function subscribeTools(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getTools() {
+  return snapshot;
+}
+
+export function getTool(name) {
+  return tools.get(name) || null;
+}
+
+// Register a tool; returns a function that removes it again
+export function registerTool(tool) {
+  if (!tool?.name || !/^[\w-]{1,64}$/.test(tool.name) || typeof tool.handler !== 'function') {
+    throw new Error('Tools need a name of letters, digits, _ or - and a handler(args) function');
+  }
+  if (tool.parameters && tool.parameters.type !== 'object') {
+    throw new Error(`Tool "${tool.name}" parameters must be a JSON schema of type "object"`);
+  }
+  if (tool.risk !== undefined && !Object.values(TOOL_RISK_LEVELS).includes(tool.risk)) {
+    throw new Error(`Tool "${tool.name}" risk must be one of ${Object.values(TOOL_RISK_LEVELS).join(', ')}`);
+  }
+  if (tools.has(tool.name)) {
+    console.warn(`Tool "${tool.name}" was registered twice; the last one wins`);
+  }
+
+  tools.set(tool.name, tool);
+  publish();
+  return () => {
+    if (tools.get(tool.name) === tool) {
+      tools.delete(tool.name);
+      publish();
+    }
+  };
+}
+
+// What the chat providers are given: name, description and parameter schema
+export function getToolDefinitions() {
+  return snapshot.map(({ name, description, parameters }) => ({
+    name,
+    description: description || '',
+    parameters: parameters || { type: 'object', properties: {} }
+  }));
+}
+
+// Models send arguments as a JSON string; some servers have already parsed them
+export function parseToolArguments(raw, toolName) {
+  if (raw && typeof raw === 'object') return raw;
+  if (!raw || !String(raw).trim()) return {};
+  try {
+    const args = JSON.parse(raw);
+    if (args && typeof args === 'object' && !Array.isArray(args)) return args;
+  } catch {
+    // reported below
+  }
+  throw createToolError('Arguments must be a JSON object', toolName);
+}
+
+const checkValue = (value, schema, path, toolName) => {
+  const fail = (problem) => {
+    throw createToolError(`"${path}" ${problem}`, toolName);
+  };
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer': {
+      // Numbers sent as strings ("5") are accepted
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number)) fail('must be a number');
+      if (schema.type === 'integer' && !Number.isInteger(number)) fail('must be a whole number');
+      if (schema.minimum !== undefined && number < schema.minimum) fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && number > schema.maximum) fail(`must be at most ${schema.maximum}`);
+      value = number;
+      break;
+    }
+    case 'string':
+      if (typeof value !== 'string') fail('must be a string');
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      break;
+    case 'array':
+      if (!Array.isArray(value)) fail('must be an array');
+      if (schema.items) value = value.map((item, index) => checkValue(item, schema.items, `${path}[${index}]`, toolName));
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) fail('must be an object');
+      value = validateToolArguments(schema, value, toolName, `${path}.`);
+      break;
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+  return value;
+};
+
+// Check arguments against a tool's parameter schema; returns them with numbers coerced
+export function validateToolArguments(schema, args, toolName, prefix = '') {
+  const properties = schema?.properties || {};
+  const result = { ...args };
+
+  (schema?.required || []).forEach((name) => {
+    if (args[name] === undefined || args[name] === null) {
+      throw createToolError(`"${prefix}${name}" is required`, toolName);
+    }
+  });
+
+  Object.entries(args).forEach(([name, value]) => {
+    const propertySchema = properties[name];
+    if (!propertySchema) {
+      if (schema?.additionalProperties === false) {
+        throw createToolError(`Unknown argument "${prefix}${name}"`, toolName);
+      }
+      return;
+    }
+    if (value === undefined || value === null) return;
+    result[name] = checkValue(value, propertySchema, `${prefix}${name}`, toolName);
+  });
+
+  return result;
+}
+
+// Run one model-requested call ({ name, arguments }); resolves with the handler's result.
+// Risky tools first wait for the user's approval in the conversation `sessionId`; onStatus is
+// told 'awaiting' while they do and 'running' once the call is allowed. Denied calls throw a
+// ToolError with `denied` set.
+export async function runTool({ name, arguments: rawArguments }, { signal, sessionId, onStatus } = {}) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw createToolError(`There is no tool called "${name}"`, name);
+  }
+
+  const args = validateToolArguments(tool.parameters, parseToolArguments(rawArguments, name), name);
+  const decision = await toolPermissions.request(tool, args, {
+    sessionId,
+    signal,
+    onPrompt: () => onStatus?.('awaiting')
+  });
+  if (decision === TOOL_DECISIONS.DENY) {
+    const error = createToolError('The user did not allow this call', name);
+    error.denied = true;
+    throw error;
+  }
+  onStatus?.('running');
+
+  try {
+    return await tool.handler(args, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    errorLogger.warn('Tool call failed', { tool: name, errorMessage: error.message }, 'Tools');
+    throw error.name === 'ToolError' ? error : createToolError(error.message, name);
+  }
+}
+
+// Tool results go back to the model as text
+export function formatToolResult(call) {
+  if (call.status === 'error' || call.status === 'denied') return JSON.stringify({ error: call.error });
+  if (call.status !== 'done') return JSON.stringify({ error: 'The call was interrupted' });
+  return typeof call.result === 'string' ? call.result : JSON.stringify(call.result ?? null);
+}
+
+builtinTools.forEach(registerTool);
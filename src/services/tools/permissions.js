@@ -0,0 +1,139 @@
+// Confirmation gate for tool calls
+//
+// Every tool declares a risk level. Low-risk tools run straight away; medium and high ones wait
+// until the user approves the call in the confirmation dialog. "Always allow" is remembered for
+// that tool in that conversation (saved, and forgotten when the conversation is deleted). Every
+// call is logged for audit: its decision, 'auto' for low-risk tools, 'remembered' for always
+// allowed ones and 'cancelled' when the reply was stopped while the prompt was open.
+
+import { getFromStorage, setToStorage } from '../../utils/index.js';
+import errorLogger from '../../utils/errorLogger.js';
+import ExternalStore from '../externalStore.js';
+
+const ALLOWED_STORAGE_KEY = 'jarvis.toolPermissions';
+
+export const TOOL_RISK_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+export const TOOL_DECISIONS = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  ALWAYS_ALLOW: 'always-allow'
+};
+
+// Tools that don't say otherwise are treated as having side effects
+export const getToolRisk = (tool) => (
+  Object.values(TOOL_RISK_LEVELS).includes(tool?.risk) ? tool.risk : TOOL_RISK_LEVELS.MEDIUM
+);
+
+let nextRequestId = 1;
+
+class ToolPermissions extends ExternalStore {
+  constructor() {
+    super({ pending: [] });
+    const allowed = getFromStorage(ALLOWED_STORAGE_KEY, {});
+    // sessionId -> names of tools the user always allows there
+    this.allowed = allowed && typeof allowed === 'object' && !Array.isArray(allowed) ? allowed : {};
+
+    // Passed around as an event handler
+    this.decide = this.decide.bind(this);
+  }
+
+  isAlwaysAllowed(toolName, sessionId) {
+    const allowed = this.allowed[sessionId];
+    return Array.isArray(allowed) && allowed.includes(toolName);
+  }
+
+  setAllowed(allowed) {
+    this.allowed = allowed;
+    setToStorage(ALLOWED_STORAGE_KEY, allowed);
+  }
+
+  // Forget "always allow" decisions for one conversation, or for all of them
+  reset(sessionId) {
+    if (sessionId === undefined) {
+      this.setAllowed({});
+    } else if (Object.hasOwn(this.allowed, sessionId)) {
+      const { [sessionId]: _removed, ...rest } = this.allowed;
+      this.setAllowed(rest);
+    }
+  }
+
+  log(request, decision) {
+    const outcome = decision === TOOL_DECISIONS.DENY ? 'denied' : decision === 'cancelled' ? 'cancelled' : 'allowed';
+    errorLogger.info(`Tool call ${outcome}`, {
+      tool: request.tool.name,
+      risk: request.risk,
+      decision,
+      sessionId: request.sessionId,
+      arguments: request.arguments
+    }, 'Tool Permissions');
+  }
+
+  // Resolves with the decision for calling `tool` with `args`, asking the user (and calling
+  // onPrompt) when its risk calls for it. Rejects with an AbortError if the signal fires first.
+  request(tool, args, { sessionId = null, signal, onPrompt } = {}) {
+    const risk = getToolRisk(tool);
+    const request = { id: nextRequestId++, tool, risk, sessionId, arguments: args };
+
+    if (risk === TOOL_RISK_LEVELS.LOW) {
+      this.log(request, 'auto');
+      return Promise.resolve(TOOL_DECISIONS.ALLOW);
+    }
+    if (this.isAlwaysAllowed(tool.name, sessionId)) {
+      this.log(request, 'remembered');
+      return Promise.resolve(TOOL_DECISIONS.ALLOW);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        this.log(request, 'cancelled');
+        reject(signal.reason ?? new DOMException('Tool call cancelled', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        this.log(request, 'cancelled');
+        this.remove(request.id);
+        reject(signal.reason ?? new DOMException('Tool call cancelled', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      request.settle = (decision) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(decision);
+      };
+      this.update({ pending: [...this.snapshot.pending, request] });
+      onPrompt?.();
+    });
+  }
+
+  remove(requestId) {
+    this.update({ pending: this.snapshot.pending.filter(request => request.id !== requestId) });
+  }
+
+  // The user's answer to a pending request (one of TOOL_DECISIONS)
+  decide(requestId, decision) {
+    const request = this.snapshot.pending.find(pending => pending.id === requestId);
+    if (!request) return;
+
+    if (decision === TOOL_DECISIONS.ALWAYS_ALLOW && !this.isAlwaysAllowed(request.tool.name, request.sessionId)) {
+      this.setAllowed({
+        ...this.allowed,
+        [request.sessionId]: [...(this.allowed[request.sessionId] || []), request.tool.name]
+      });
+    }
+
+    this.log(request, decision);
+    this.remove(requestId);
+    request.settle(decision);
+  }
+}
+
+const toolPermissions = new ToolPermissions();
+
+export { ToolPermissions, toolPermissions };
+export default toolPermissions;
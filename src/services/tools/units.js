@@ -0,0 +1,127 @@
+// Unit tables for the unit converter tool
+//
+// Each unit has a factor to its category's base unit; temperature is converted through
+// Kelvin with offsets instead. Symbols are matched case-sensitively first (MB megabytes vs Mb
+// megabits), then symbols and names case-insensitively.
+
+const UNITS = {
+  length: {
+    mm: [0.001, 'millimeter', 'millimetre'],
+    cm: [0.01, 'centimeter', 'centimetre'],
+    m: [1, 'meter', 'metre'],
+    km: [1000, 'kilometer', 'kilometre'],
+    in: [0.0254, 'inch', 'inches'],
+    ft: [0.3048, 'foot', 'feet'],
+    yd: [0.9144, 'yard'],
+    mi: [1609.344, 'mile'],
+    nmi: [1852, 'nautical mile']
+  },
+  mass: {
+    mg: [0.000001, 'milligram'],
+    g: [0.001, 'gram'],
+    kg: [1, 'kilogram', 'kilo'],
+    t: [1000, 'tonne', 'metric ton'],
+    oz: [0.028349523125, 'ounce'],
+    lb: [0.45359237, 'pound', 'lbs'],
+    st: [6.35029318, 'stone']
+  },
+  volume: {
+    ml: [0.001, 'milliliter', 'millilitre'],
+    l: [1, 'liter', 'litre'],
+    m3: [1000, 'cubic meter', 'cubic metre'],
+    tsp: [0.00492892159375, 'teaspoon'],
+    tbsp: [0.01478676478125, 'tablespoon'],
+    cup: [0.2365882365, 'cup'],
+    floz: [0.0295735295625, 'fluid ounce', 'fl oz'],
+    pt: [0.473176473, 'pint'],
+    qt: [0.946352946, 'quart'],
+    gal: [3.785411784, 'gallon']
+  },
+  speed: {
+    'm/s': [1, 'meters per second', 'metres per second'],
+    'km/h': [1 / 3.6, 'kph', 'kilometers per hour', 'kilometres per hour'],
+    mph: [0.44704, 'miles per hour'],
+    kn: [0.514444, 'knot', 'kt']
+  },
+  time: {
+    ms: [0.001, 'millisecond'],
+    s: [1, 'second', 'sec'],
+    min: [60, 'minute'],
+    h: [3600, 'hour', 'hr'],
+    day: [86400, 'd'],
+    week: [604800, 'wk'],
+    year: [31557600, 'yr']
+  },
+  data: {
+    bit: [0.125, 'b'],
+    B: [1, 'byte'],
+    KB: [1e3, 'kilobyte'],
+    MB: [1e6, 'megabyte'],
+    GB: [1e9, 'gigabyte'],
+    TB: [1e12, 'terabyte'],
+    Kb: [125, 'kilobit', 'kbit'],
+    Mb: [125e3, 'megabit', 'mbit'],
+    Gb: [125e6, 'gigabit', 'gbit'],
+    Tb: [125e9, 'terabit', 'tbit'],
+    KiB: [1024, 'kibibyte'],
+    MiB: [1024 ** 2, 'mebibyte'],
+    GiB: [1024 ** 3, 'gibibyte']
+  },
+  temperature: {
+    C: [null, 'celsius', '°c', 'degc'],
+    F: [null, 'fahrenheit', '°f', 'degf'],
+    K: [null, 'kelvin']
+  }
+};
+
+const TO_KELVIN = {
+  C: value => value + 273.15,
+  F: value => (value - 32) * 5 / 9 + 273.15,
+  K: value => value
+};
+const FROM_KELVIN = {
+  C: value => value - 273.15,
+  F: value => (value - 273.15) * 9 / 5 + 32,
+  K: value => value
+};
+
+const symbols = new Map();
+const aliases = new Map();
+Object.entries(UNITS).forEach(([category, units]) => {
+  Object.entries(units).forEach(([symbol, [factor, ...names]]) => {
+    const unit = { symbol, category, factor };
+    symbols.set(symbol, unit);
+    [symbol, ...names].forEach((name) => {
+      const key = name.toLowerCase();
+      if (!aliases.has(key)) aliases.set(key, unit);
+      // Plurals: "meters", "inches" is listed explicitly
+      if (!aliases.has(`${key}s`)) aliases.set(`${key}s`, unit);
+    });
+  });
+});
+
+export function findUnit(name) {
+  const text = String(name).trim();
+  return symbols.get(text) || aliases.get(text.toLowerCase()) || null;
+}
+
+export function getUnitCategories() {
+  return Object.fromEntries(Object.entries(UNITS).map(([category, units]) => [category, Object.keys(units)]));
+}
+
+// Convert value between two units of the same category; throws on unknown or mismatched units
+export function convertUnits(value, fromName, toName) {
+  const from = findUnit(fromName);
+  const to = findUnit(toName);
+  if (!from) throw new Error(`Unknown unit "${fromName}"`);
+  if (!to) throw new Error(`Unknown unit "${toName}"`);
+  if (from.category !== to.category) {
+    throw new Error(`Cannot convert ${from.category} (${from.symbol}) to ${to.category} (${to.symbol})`);
+  }
+
+  const result = from.category === 'temperature'
+    ? FROM_KELVIN[to.symbol](TO_KELVIN[from.symbol](value))
+    : value * from.factor / to.factor;
+
+  return { from: from.symbol, to: to.symbol, category: from.category, result };
+}
@@ -0,0 +1,125 @@
+// Browser text-to-speech built on window.speechSynthesis
+
+const getSynth = () => (
+  typeof window !== 'undefined' && 'speechSynthesis' in window ? window.speechSynthesis : null
+);
+
+// Some browsers stop long utterances after ~15s, so text is spoken a sentence group at a time
+const MAX_CHUNK_LENGTH = 200;
+
+const splitIntoChunks = (text) => {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [text];
+  return sentences.reduce((chunks, sentence) => {
+    const last = chunks[chunks.length - 1];
+    if (last !== undefined && (last + sentence).length <= MAX_CHUNK_LENGTH) {
+      chunks[chunks.length - 1] = last + sentence;
+    } else {
+      chunks.push(sentence);
+    }
+    return chunks;
+  }, []).map(chunk => chunk.trim()).filter(Boolean);
+};
+
+const createAbortError = () => {
+  const error = new Error('Speech was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const toVoice = (voice) => ({
+  id: voice.voiceURI,
+  name: voice.name,
+  lang: voice.lang,
+  isDefault: voice.default
+});
+
+export const createBrowserEngine = () => {
+  const synth = getSynth();
+
+  const findVoice = (id) => (
+    id ? synth.getVoices().find(voice => voice.voiceURI === id) || null : null
+  );
+
+  const speakChunk = (text, { voice, rate, pitch, lang }) => new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const selectedVoice = findVoice(voice);
+    if (selectedVoice) {
+      utterance.voice = selectedVoice;
+      utterance.lang = selectedVoice.lang;
+    } else if (lang) {
+      utterance.lang = lang;
+    }
+    utterance.rate = rate;
+    utterance.pitch = pitch;
+
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) => {
+      if (event.error === 'interrupted' || event.error === 'canceled') {
+        reject(createAbortError());
+        return;
+      }
+      const error = new Error(`Speech synthesis failed: ${event.error}`);
+      error.name = 'SpeechSynthesisError';
+      reject(error);
+    };
+
+    synth.speak(utterance);
+  });
+
+  const speak = async (text, { voice = null, rate = 1, pitch = 1, lang, signal } = {}) => {
+    if (!synth) {
+      throw new Error('Speech synthesis is not supported in this browser');
+    }
+
+    const stop = () => synth.cancel();
+    signal?.addEventListener('abort', stop, { once: true });
+
+    try {
+      for (const chunk of splitIntoChunks(text)) {
+        if (signal?.aborted) throw createAbortError();
+        await speakChunk(chunk, { voice, rate, pitch, lang });
+      }
+    } finally {
+      signal?.removeEventListener('abort', stop);
+    }
+  };
+
+  const cancel = () => synth?.cancel();
+
+  // Voices load asynchronously in Chrome; wait briefly for the first list
+  const getVoices = () => new Promise((resolve) => {
+    if (!synth) {
+      resolve([]);
+      return;
+    }
+
+    const voices = synth.getVoices();
+    if (voices.length > 0) {
+      resolve(voices.map(toVoice));
+      return;
+    }
+
+    const finish = () => {
+      clearTimeout(timeoutId);
+      synth.removeEventListener('voiceschanged', finish);
+      resolve(synth.getVoices().map(toVoice));
+    };
+    const timeoutId = setTimeout(finish, 1000);
+    synth.addEventListener('voiceschanged', finish);
+  });
+
+  const onVoicesChanged = (listener) => {
+    if (!synth) return () => {};
+    synth.addEventListener('voiceschanged', listener);
+    return () => synth.removeEventListener('voiceschanged', listener);
+  };
+
+  return {
+    id: 'browser',
+    isSupported: Boolean(synth),
+    speak,
+    cancel,
+    getVoices,
+    onVoicesChanged
+  };
+};
@@ -0,0 +1,139 @@
+// Text-to-speech through an HTTP server (Piper, Coqui, OpenedAI Speech, a custom proxy...)
+//
+// POST {url} with JSON { text, voice, rate, pitch, lang } must answer with playable audio.
+// GET {voicesUrl} may list voices as [{ id, name, lang }] or { voices: [...] }.
+
+const createAbortError = () => {
+  const error = new Error('Speech was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const createHttpEngine = ({
+  url,
+  voicesUrl,
+  apiKey = ''
+} = {}) => {
+  if (!url) {
+    throw new Error('The HTTP TTS engine requires a url (VITE_TTS_URL or "tts.url" in config.json)');
+  }
+
+  const controllers = new Set();
+
+  const buildHeaders = () => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  };
+
+  const fetchAudio = async (body, signal) => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`TTS server responded with ${response.status}`);
+        error.status = response.status;
+        error.statusText = response.statusText;
+        throw error;
+      }
+
+      return await response.blob();
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        error.url = url;
+      }
+      throw error;
+    }
+  };
+
+  const play = (blob, { rate, signal }) => new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(blob);
+    const audio = new Audio(objectUrl);
+    audio.playbackRate = rate;
+
+    const cleanup = () => {
+      signal.removeEventListener('abort', handleAbort);
+      audio.pause();
+      URL.revokeObjectURL(objectUrl);
+    };
+    const handleAbort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+
+    audio.onended = () => {
+      cleanup();
+      resolve();
+    };
+    audio.onerror = () => {
+      cleanup();
+      reject(new Error('TTS audio could not be played'));
+    };
+    signal.addEventListener('abort', handleAbort, { once: true });
+
+    audio.play().catch((error) => {
+      cleanup();
+      reject(error);
+    });
+  });
+
+  // Each utterance runs under its own controller so cancel() can stop it at any stage
+  // onAudio receives the synthesized audio before it plays, e.g. to keep a recording of it
+  const speak = async (text, { voice = null, rate = 1, pitch = 1, lang, signal, onAudio } = {}) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    controllers.add(controller);
+
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      const blob = await fetchAudio({ text, voice, rate, pitch, lang }, controller.signal);
+      if (controller.signal.aborted) throw createAbortError();
+      onAudio?.(blob);
+      await play(blob, { rate, signal: controller.signal });
+    } finally {
+      signal?.removeEventListener('abort', abort);
+      controllers.delete(controller);
+    }
+  };
+
+  const cancel = () => {
+    controllers.forEach(controller => controller.abort());
+    controllers.clear();
+  };
+
+  const getVoices = async () => {
+    if (!voicesUrl) return [];
+    try {
+      const response = await fetch(voicesUrl, { headers: buildHeaders() });
+      if (!response.ok) return [];
+      const data = await response.json();
+      const voices = Array.isArray(data) ? data : data?.voices || [];
+      return voices.map(voice => (
+        typeof voice === 'string' ? { id: voice, name: voice, lang: '' } : { id: voice.id, name: voice.name || voice.id, lang: voice.lang || '' }
+      ));
+    } catch (error) {
+      console.warn('TTS voices could not be loaded:', error.message);
+      return [];
+    }
+  };
+
+  return {
+    id: 'http',
+    isSupported: typeof Audio !== 'undefined',
+    speak,
+    cancel,
+    getVoices
+  };
+};
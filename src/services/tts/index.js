@@ -0,0 +1,80 @@
+// Text-to-speech engine registry
+//
+// An engine is a plain object exposing:
+//   id, isSupported
+//   speak(text, options)   -> Promise<void>    resolves once playback has finished
+//   cancel()                 -> void             stops playback immediately
+//   getVoices()              -> Promise<Array>   [{ id, name, lang }]
+//   onVoicesChanged(listener) -> unsubscribe     optional; called when the voice list changes
+// where `options` is { voice, rate, pitch, lang, signal, onAudio }. Cancelled playback rejects with
+// an AbortError. Engines that produce an audio file should pass it to onAudio(blob) before playing.
+
+import { createBrowserEngine } from './browserEngine.js';
+import { createHttpEngine } from './httpEngine.js';
+
+const engineFactories = new Map([
+  ['browser', createBrowserEngine],
+  ['http', createHttpEngine]
+]);
+
+// Register a custom engine factory so deployments can plug in their own speech backend
+export function registerTtsEngine(id, factory) {
+  if (!id || typeof factory !== 'function') {
+    throw new Error('TTS engine registration requires an id and a factory function');
+  }
+  engineFactories.set(id, factory);
+}
+
+export function getTtsEngineIds() {
+  return Array.from(engineFactories.keys());
+}
+
+// Read engine selection from Vite env config
+export function getTtsConfig(env = import.meta.env) {
+  return {
+    engine: env.VITE_TTS_ENGINE || 'browser',
+    url: env.VITE_TTS_URL || undefined,
+    voicesUrl: env.VITE_TTS_VOICES_URL || undefined,
+    apiKey: env.VITE_TTS_API_KEY || ''
+  };
+}
+
+export function createTtsEngine(config = getTtsConfig()) {
+  const { engine: id, ...options } = config;
+  const factory = engineFactories.get(id);
+
+  if (!factory) {
+    console.warn(`Unknown TTS engine "${id}", falling back to browser speech`);
+    return createBrowserEngine();
+  }
+
+  // Drop unset values so each engine keeps its own defaults
+  const engineOptions = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+
+  try {
+    return factory(engineOptions);
+  } catch (error) {
+    console.warn(`TTS engine "${id}" could not be created, falling back to browser speech:`, error.message);
+    return createBrowserEngine();
+  }
+}
+
+// Markdown is written to be read, not heard: keep the words and drop the markup
+export function toSpeechText(markdown = '') {
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' Code block omitted. ')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^\s*\|?(?:\s*:?-+:?\s*\|)+\s*$/gm, '')
+    .replace(/\|/g, ', ')
+    .replace(/(\*\*|__|\*|_|~~)(\S[\s\S]*?)\1/g, '$2')
+    .replace(/https?:\/\/\S+/g, 'link')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
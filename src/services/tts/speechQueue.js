@@ -0,0 +1,136 @@
+// Spoken replies, one at a time
+//
+// Replies queue up behind whatever is playing; cancel() empties the queue and stops playback
+// (used for barge-in when the user starts talking). UI reads { isSpeaking, currentId, pending }
+// through useSpeechSynthesis. Engines that synthesize audio files (http) also hand each reply's
+// audio to onAudio listeners.
+
+import errorLogger from '../../utils/errorLogger.js';
+import ExternalStore from '../externalStore.js';
+import { createTtsEngine, toSpeechText } from './index.js';
+
+class SpeechQueue extends ExternalStore {
+  constructor() {
+    super({ isSpeaking: false, currentId: null, pending: 0 });
+    this.engine = null;
+    this.options = { voice: null, rate: 1, pitch: 1, lang: undefined };
+    this.queue = [];
+    this.controller = null;
+    this.errorListeners = new Set();
+    this.voiceListeners = new Set();
+    this.audioListeners = new Set();
+    this.stopVoiceUpdates = null;
+  }
+
+  onError(listener) {
+    this.errorListeners.add(listener);
+    return () => this.errorListeners.delete(listener);
+  }
+
+  // Called with no arguments whenever the available voices may have changed
+  onVoicesChanged(listener) {
+    this.voiceListeners.add(listener);
+    return () => this.voiceListeners.delete(listener);
+  }
+
+  // Called with (id, blob) for every reply the engine synthesizes as an audio file
+  onAudio(listener) {
+    this.audioListeners.add(listener);
+    return () => this.audioListeners.delete(listener);
+  }
+
+  notifyVoicesChanged() {
+    this.voiceListeners.forEach(listener => listener());
+  }
+
+  getEngine() {
+    if (!this.engine) {
+      this.setEngine(createTtsEngine());
+    }
+    return this.engine;
+  }
+
+  setEngine(engine) {
+    this.cancel();
+    this.stopVoiceUpdates?.();
+    this.engine = engine;
+    this.stopVoiceUpdates = engine.onVoicesChanged?.(() => this.notifyVoicesChanged()) || null;
+    this.notifyVoicesChanged();
+  }
+
+  isSupported() {
+    return this.getEngine().isSupported;
+  }
+
+  getVoices() {
+    return this.getEngine().getVoices();
+  }
+
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  // Queue `text` (markdown is fine) to be spoken after anything already queued
+  enqueue(id, text) {
+    const speech = toSpeechText(text);
+    if (!speech) return false;
+
+    this.queue.push({ id, text: speech });
+    this.update({ pending: this.queue.length });
+    if (!this.controller) {
+      this.processQueue();
+    }
+    return true;
+  }
+
+  // Drop everything else and speak `text` now (replay)
+  speakNow(id, text) {
+    this.cancel();
+    return this.enqueue(id, text);
+  }
+
+  cancel() {
+    this.queue = [];
+    this.controller?.abort();
+    this.controller = null;
+    this.engine?.cancel();
+    if (this.snapshot.isSpeaking || this.snapshot.pending > 0) {
+      this.update({ isSpeaking: false, currentId: null, pending: 0 });
+    }
+  }
+
+  async processQueue() {
+    const engine = this.getEngine();
+
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      const controller = new AbortController();
+      this.controller = controller;
+      this.update({ isSpeaking: true, currentId: item.id, pending: this.queue.length });
+
+      try {
+        await engine.speak(item.text, {
+          ...this.options,
+          signal: controller.signal,
+          onAudio: (blob) => this.audioListeners.forEach(listener => listener(item.id, blob))
+        });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          errorLogger.logVoiceError(error, 'Text to Speech');
+          this.errorListeners.forEach(listener => listener(error));
+        }
+      }
+
+      // cancel() has already reset the state and may have started a newer run
+      if (this.controller !== controller) return;
+    }
+
+    this.controller = null;
+    this.update({ isSpeaking: false, currentId: null, pending: 0 });
+  }
+}
+
+const speechQueue = new SpeechQueue();
+
+export { SpeechQueue, speechQueue };
+export default speechQueue;
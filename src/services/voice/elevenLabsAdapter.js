@@ -0,0 +1,133 @@
+// Bridge between the <elevenlabs-convai> embed and the voice session
+//
+// Incoming: the embed dispatches `elevenlabs-convai:call` on the host element when a call
+// starts, with the session config in `event.detail.config`. Chaining our callbacks onto that
+// config reports connect, mode (listening/speaking), disconnect, errors and transcripts
+// (final turns via onMessage, tentative agent text via onDebug) as they happen.
+// Older embeds reported state through `elevenlabs-widget-state`, which is still honoured.
+//
+// Outgoing: the embed has no imperative API, so start/end call and mute are driven through
+// the embed's own buttons in its shadow root. Methods are preferred if a build exposes them.
+
+import { VOICE_EVENTS } from '../../types/index.js';
+
+export const WIDGET_TAG = 'elevenlabs-convai';
+const CALL_EVENT = 'elevenlabs-convai:call';
+const LEGACY_STATE_EVENT = 'elevenlabs-widget-state';
+
+const LEGACY_STATE_EVENTS = {
+  connected: VOICE_EVENTS.READY,
+  'in-call': VOICE_EVENTS.CALL_START,
+  listening: VOICE_EVENTS.LISTENING,
+  speaking: VOICE_EVENTS.SPEAKING,
+  disconnected: VOICE_EVENTS.CALL_END,
+  error: VOICE_EVENTS.FAIL
+};
+
+// Run our handler after whatever callback the config already had
+const chainCallback = (config, name, handler) => {
+  const original = config[name];
+  config[name] = (...args) => {
+    original?.(...args);
+    handler(...args);
+  };
+};
+
+const findButton = (element, matches) => {
+  const buttons = element.shadowRoot?.querySelectorAll('button') || [];
+  return Array.from(buttons).find(button => {
+    const label = `${button.getAttribute('aria-label') || ''} ${button.textContent || ''}`.trim().toLowerCase();
+    return label && matches(label);
+  }) || null;
+};
+
+const clickButton = (button) => {
+  if (!button || button.disabled) return false;
+  button.click();
+  return true;
+};
+
+// Tentative agent text arrives as a debug event while the reply is still being generated
+const getTentativeText = (event) => (
+  event?.type === 'tentative_agent_response' ? event.response : null
+);
+
+// `labels` are the start/end call texts the widget was configured with;
+// `onTranscript({ role, text, isFinal })` receives spoken turns
+export function createElevenLabsAdapter(element, { onEvent, onTranscript, labels = {} }) {
+  const startLabel = (labels.startCallText || 'start').toLowerCase();
+  const endLabel = (labels.endCallText || 'end').toLowerCase();
+
+  const handleCall = (event) => {
+    onEvent(VOICE_EVENTS.CALL_START);
+
+    const config = event.detail?.config;
+    if (!config) return;
+
+    chainCallback(config, 'onConnect', () => onEvent(VOICE_EVENTS.CALL_START));
+    chainCallback(config, 'onModeChange', ({ mode } = {}) => {
+      onEvent(mode === 'speaking' ? VOICE_EVENTS.SPEAKING : VOICE_EVENTS.LISTENING);
+    });
+    chainCallback(config, 'onDisconnect', () => onEvent(VOICE_EVENTS.CALL_END));
+    chainCallback(config, 'onMessage', ({ message, source } = {}) => {
+      if (message) {
+        onTranscript?.({ role: source === 'user' ? 'user' : 'assistant', text: message, isFinal: true });
+      }
+    });
+    chainCallback(config, 'onDebug', (event) => {
+      const text = getTentativeText(event);
+      if (text) {
+        onTranscript?.({ role: 'assistant', text, isFinal: false });
+      }
+    });
+    chainCallback(config, 'onError', (message, context) => {
+      const error = message instanceof Error ? message : new Error(String(message || 'Voice session error'));
+      onEvent(VOICE_EVENTS.FAIL, { error, details: context });
+    });
+  };
+
+  const handleLegacyState = (event) => {
+    const voiceEvent = LEGACY_STATE_EVENTS[event.detail?.state];
+    if (voiceEvent) {
+      onEvent(voiceEvent, voiceEvent === VOICE_EVENTS.FAIL ? { error: new Error('Widget error occurred') } : undefined);
+    }
+  };
+
+  element.addEventListener(CALL_EVENT, handleCall);
+  element.addEventListener(LEGACY_STATE_EVENT, handleLegacyState);
+
+  const startCall = () => {
+    if (typeof element.startCall === 'function') {
+      element.startCall();
+      return true;
+    }
+    return clickButton(findButton(element, label => label.includes(startLabel)));
+  };
+
+  const endCall = () => {
+    if (typeof element.endCall === 'function') {
+      element.endCall();
+    } else if (!clickButton(findButton(element, label => label.includes(endLabel)))) {
+      return false;
+    }
+    onEvent(VOICE_EVENTS.CALL_END);
+    return true;
+  };
+
+  const setMuted = (muted) => {
+    if (typeof element.setMuted === 'function') {
+      element.setMuted(muted);
+      return true;
+    }
+    // The mute button toggles, so only click when its label offers the change we want
+    const button = findButton(element, label => (muted ? /\bmute\b/.test(label) : label.includes('unmute')));
+    return clickButton(button);
+  };
+
+  const destroy = () => {
+    element.removeEventListener(CALL_EVENT, handleCall);
+    element.removeEventListener(LEGACY_STATE_EVENT, handleLegacyState);
+  };
+
+  return { element, startCall, endCall, setMuted, destroy };
+}
@@ -0,0 +1,227 @@
+// One shared microphone stream for everything in the app that only needs to listen
+//
+// Opening a fresh getUserMedia stream per feature re-prompts on some browsers and lights the
+// recording indicator on and off. Callers acquire() the shared stream and release() it when
+// done; the tracks stop once the last user has let go. The stream follows the preferred
+// input device and processing options, and is reopened (onStreamChange) when they change
+// or the device is unplugged.
+
+import { ERROR_TYPES } from '../../types/index.js';
+import ExternalStore from '../externalStore.js';
+
+const stopStream = (stream) => stream.getTracks().forEach(track => track.stop());
+
+// getUserMedia DOMException name → app error type
+const MICROPHONE_ERRORS = {
+  NotAllowedError: ERROR_TYPES.MICROPHONE_ACCESS_DENIED,
+  SecurityError: ERROR_TYPES.MICROPHONE_ACCESS_DENIED,
+  NotFoundError: ERROR_TYPES.MICROPHONE_NOT_FOUND,
+  NotReadableError: ERROR_TYPES.MICROPHONE_IN_USE,
+  AbortError: ERROR_TYPES.MICROPHONE_IN_USE,
+  OverconstrainedError: ERROR_TYPES.MICROPHONE_CONSTRAINTS_ERROR
+};
+
+export function getMicrophoneErrorType(error) {
+  return MICROPHONE_ERRORS[error?.name] || ERROR_TYPES.VOICE_PROCESSING_ERROR;
+}
+
+const MICROPHONE_ERROR_MESSAGES = {
+  [ERROR_TYPES.MICROPHONE_ACCESS_DENIED]: 'Microphone access denied',
+  [ERROR_TYPES.MICROPHONE_NOT_FOUND]: 'No microphone found',
+  [ERROR_TYPES.MICROPHONE_IN_USE]: 'The microphone is in use by another application',
+  [ERROR_TYPES.MICROPHONE_CONSTRAINTS_ERROR]: 'The microphone does not support the selected audio settings'
+};
+
+export function getMicrophoneErrorMessage(type) {
+  return MICROPHONE_ERROR_MESSAGES[type] || 'Microphone could not be started';
+}
+
+export const DEFAULT_AUDIO_OPTIONS = {
+  deviceId: null,
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+};
+
+export function getAudioConstraints({ deviceId, echoCancellation, noiseSuppression, autoGainControl } = DEFAULT_AUDIO_OPTIONS) {
+  return {
+    audio: {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+      echoCancellation,
+      noiseSuppression,
+      autoGainControl
+    }
+  };
+}
+
+const toDevice = (device, index) => ({
+  id: device.deviceId,
+  // Labels stay empty until the page has been granted microphone access
+  label: device.label || `Microphone ${index + 1}`,
+  hasLabel: Boolean(device.label)
+});
+
+class Microphone extends ExternalStore {
+  constructor() {
+    super({ devices: [], activeDeviceId: null });
+    this.options = { ...DEFAULT_AUDIO_OPTIONS };
+    this.stream = null;
+    this.pending = null;
+    this.users = 0;
+    this.streamListeners = new Set();
+    this.isWatchingDevices = false;
+
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+  }
+
+  // Devices are only watched once something shows them
+  subscribe(listener) {
+    const unsubscribe = super.subscribe(listener);
+    this.watchDevices();
+    return unsubscribe;
+  }
+
+  // Called with the new stream after it has been reopened with different settings
+  onStreamChange(listener) {
+    this.streamListeners.add(listener);
+    return () => this.streamListeners.delete(listener);
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+  }
+
+  watchDevices() {
+    if (this.isWatchingDevices || !navigator.mediaDevices?.addEventListener) return;
+    this.isWatchingDevices = true;
+    navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+    this.refreshDevices();
+  }
+
+  async refreshDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    try {
+      const devices = (await navigator.mediaDevices.enumerateDevices())
+        .filter(device => device.kind === 'audioinput')
+        .map(toDevice);
+      this.update({ devices });
+      return devices;
+    } catch (error) {
+      console.warn('Microphones could not be listed:', error.message);
+      return this.snapshot.devices;
+    }
+  }
+
+  async handleDeviceChange() {
+    const devices = await this.refreshDevices();
+
+    // The device in use was unplugged: move the open stream to whatever is available now
+    const activeDeviceId = this.snapshot.activeDeviceId;
+    if (this.stream && activeDeviceId && !devices.some(device => device.id === activeDeviceId)) {
+      this.reopen();
+    } else if (this.stream && this.options.deviceId && activeDeviceId !== this.options.deviceId &&
+      devices.some(device => device.id === this.options.deviceId)) {
+      // The preferred device came back
+      this.reopen();
+    }
+  }
+
+  // Apply device and processing preferences; an open stream is reopened to pick them up
+  configure(options) {
+    const next = { ...this.options, ...options };
+    const hasChanged = Object.keys(next).some(key => next[key] !== this.options[key]);
+    this.options = next;
+    if (hasChanged && this.stream) {
+      this.reopen();
+    }
+  }
+
+  async getUserMedia() {
+    try {
+      return await navigator.mediaDevices.getUserMedia(getAudioConstraints(this.options));
+    } catch (error) {
+      // A remembered device that has gone away falls back to the system default
+      const isMissingDevice = ['NotFoundError', 'OverconstrainedError'].includes(error.name);
+      if (this.options.deviceId && isMissingDevice) {
+        return navigator.mediaDevices.getUserMedia(getAudioConstraints({ ...this.options, deviceId: null }));
+      }
+      throw error;
+    }
+  }
+
+  setStream(stream) {
+    this.stream = stream;
+    const deviceId = stream?.getAudioTracks()[0]?.getSettings?.().deviceId || null;
+    this.update({ activeDeviceId: deviceId });
+  }
+
+  open() {
+    if (this.stream?.active) return Promise.resolve(this.stream);
+
+    if (!this.pending) {
+      this.pending = this.getUserMedia()
+        .then((stream) => {
+          // Everyone let go while the permission prompt was open
+          if (this.users === 0) {
+            stopStream(stream);
+          } else {
+            this.setStream(stream);
+            // Device labels become readable once access has been granted
+            this.refreshDevices();
+          }
+          return stream;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  async reopen() {
+    if (this.pending) return;
+    const previous = this.stream;
+    this.stream = null;
+
+    try {
+      const stream = await this.open();
+      if (previous) stopStream(previous);
+      if (this.stream === stream) {
+        this.streamListeners.forEach(listener => listener(stream));
+      }
+    } catch (error) {
+      // Keep the old stream running rather than leaving listeners without audio
+      console.warn('Microphone could not be switched:', error.message);
+      if (previous?.active && this.users > 0) {
+        this.setStream(previous);
+      }
+    }
+  }
+
+  async acquire() {
+    if (!this.isSupported()) {
+      throw new Error('Microphone access not supported');
+    }
+
+    this.users += 1;
+    try {
+      return await this.open();
+    } catch (error) {
+      this.users -= 1;
+      throw error;
+    }
+  }
+
+  release() {
+    this.users = Math.max(0, this.users - 1);
+    if (this.users === 0 && this.stream) {
+      stopStream(this.stream);
+      this.setStream(null);
+    }
+  }
+}
+
+const microphone = new Microphone();
+
+export { Microphone, microphone };
+export default microphone;
@@ -0,0 +1,63 @@
+// Lifecycle shared by the services that work on the shared microphone stream (voice activity,
+// the recorder): acquire the stream, attach to it, attach again whenever it is reopened for
+// another device or other settings, and hand it back on release().
+//
+//   attach(stream)        start working on a stream; also called with each replacement
+//   detach()              stop working on the current stream
+//   onUnavailable(error)  the microphone could not be opened
+//   onError(error)        attach() threw; the microphone has been released again
+//
+// A release() while the permission prompt is still open wins: the late stream is handed
+// straight back and nothing is reported.
+
+import { requestMicrophonePermission, releaseMicrophone } from '../../utils/index.js';
+import microphone from './microphone.js';
+
+export function createMicrophoneConsumer({ attach, detach, onUnavailable, onError }) {
+  let run = 0;
+  let isAttached = false;
+  let stopFollowingStream = null;
+
+  // Resolves true once attached, false otherwise
+  const acquire = async () => {
+    const current = ++run;
+
+    let stream;
+    try {
+      stream = await requestMicrophonePermission();
+    } catch (error) {
+      if (current === run) onUnavailable?.(error);
+      return false;
+    }
+
+    if (current !== run) {
+      releaseMicrophone();
+      return false;
+    }
+
+    try {
+      attach(stream);
+    } catch (error) {
+      releaseMicrophone();
+      onError?.(error);
+      return false;
+    }
+
+    isAttached = true;
+    stopFollowingStream = microphone.onStreamChange(attach);
+    return true;
+  };
+
+  const release = () => {
+    run += 1;
+    stopFollowingStream?.();
+    stopFollowingStream = null;
+    if (isAttached) {
+      isAttached = false;
+      detach();
+      releaseMicrophone();
+    }
+  };
+
+  return { acquire, release };
+}
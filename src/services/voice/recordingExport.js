@@ -0,0 +1,106 @@
+// Export the part of a voice recording that belongs to one message ({ recording, start, end }
+// from getRecordingClips) as the recorded WebM/Opus file or as 16-bit PCM WAV. Compressed
+// recordings can't be cut without re-encoding, so clips of a longer recording are always WAV.
+
+import { downloadBlob } from '../../utils/index.js';
+
+// MIME type → file extension for what MediaRecorder produces across browsers
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+};
+
+export function getRecordingExtension(mimeType = '') {
+  return EXTENSIONS[mimeType.split(';')[0].trim()] || 'webm';
+}
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+};
+
+const isWholeRecording = (clip) => clip.start <= 0 && clip.end === null;
+
+// What exporting the clip in its 'original' format produces, e.g. 'WEBM'
+export function getClipExportFormat(clip) {
+  return isWholeRecording(clip) ? getRecordingExtension(clip.recording.mimeType).toUpperCase() : 'WAV';
+}
+
+// Interleave the decoded channels into a RIFF/WAVE file
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (const samples of channels) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+// The samples between start and end (seconds, end null = to the end), shaped like an AudioBuffer
+export function sliceAudioBuffer(audioBuffer, start = 0, end = null) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const from = Math.min(length, Math.max(0, Math.floor(start * sampleRate)));
+  const to = end === null ? length : Math.min(length, Math.max(from, Math.ceil(end * sampleRate)));
+
+  return {
+    numberOfChannels,
+    sampleRate,
+    length: to - from,
+    getChannelData: (channel) => audioBuffer.getChannelData(channel).subarray(from, to)
+  };
+}
+
+export async function convertToWav(blob, start = 0, end = null) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  try {
+    const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer());
+    return encodeWav(sliceAudioBuffer(audioBuffer, start, end));
+  } finally {
+    context.close().catch(() => {});
+  }
+}
+
+// format is 'original' (the file as recorded, normally WebM/Opus, when the clip is the whole
+// recording) or 'wav'
+export async function exportRecordingClip(clip, format = 'original') {
+  const { recording, start, end } = clip;
+  const startedAt = new Date(recording.startedAt.getTime() + start * 1000);
+  const stamp = startedAt.toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const name = `jarvis-${recording.source === 'speech' ? 'reply' : 'recording'}-${stamp}`;
+
+  if (format === 'wav' || !isWholeRecording(clip)) {
+    downloadBlob(await convertToWav(recording.blob, start, end), `${name}.wav`);
+  } else {
+    downloadBlob(recording.blob, `${name}.${getRecordingExtension(recording.mimeType)}`);
+  }
+}
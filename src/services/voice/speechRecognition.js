@@ -0,0 +1,124 @@
+// Browser-native voice input built on the Web Speech API, used when the ElevenLabs widget is unavailable
+
+import { ERROR_TYPES } from '../../types/index.js';
+import { checkBrowserSupport } from '../../utils/index.js';
+
+export const getRecognitionClass = () => (
+  typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null
+);
+
+export function isSpeechRecognitionSupported() {
+  return checkBrowserSupport().speechRecognition;
+}
+
+// SpeechRecognitionErrorEvent.error → app error type; null means "not worth reporting"
+const RECOGNITION_ERRORS = {
+  'not-allowed': ERROR_TYPES.MICROPHONE_ACCESS_DENIED,
+  'service-not-allowed': ERROR_TYPES.MICROPHONE_ACCESS_DENIED,
+  'audio-capture': ERROR_TYPES.MICROPHONE_NOT_FOUND,
+  network: ERROR_TYPES.NETWORK_ERROR,
+  'no-speech': null,
+  aborted: null
+};
+
+export function getRecognitionErrorType(code) {
+  return code in RECOGNITION_ERRORS ? RECOGNITION_ERRORS[code] : ERROR_TYPES.VOICE_PROCESSING_ERROR;
+}
+
+// Wraps one SpeechRecognition instance. In continuous mode the browser may still end the
+// session after a pause, so it is restarted until stop() is called.
+export function createSpeechRecognizer({
+  lang = 'en-US',
+  continuous = false,
+  interimResults = true,
+  onInterim,
+  onFinal,
+  onListeningChange,
+  onError
+} = {}) {
+  const Recognition = getRecognitionClass();
+  if (!Recognition) {
+    throw new Error('Speech recognition is not supported in this browser');
+  }
+
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.continuous = continuous;
+  recognition.interimResults = interimResults;
+
+  let wantsToListen = false;
+  let isListening = false;
+
+  const setListening = (value) => {
+    if (isListening === value) return;
+    isListening = value;
+    onListeningChange?.(value);
+  };
+
+  recognition.onstart = () => setListening(true);
+
+  recognition.onresult = (event) => {
+    let interim = '';
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
+      const text = result[0]?.transcript || '';
+      if (result.isFinal) {
+        if (text.trim()) onFinal?.(text.trim());
+      } else {
+        interim += text;
+      }
+    }
+    onInterim?.(interim);
+  };
+
+  recognition.onerror = (event) => {
+    const type = getRecognitionErrorType(event.error);
+    if (type === ERROR_TYPES.MICROPHONE_ACCESS_DENIED || type === ERROR_TYPES.MICROPHONE_NOT_FOUND) {
+      wantsToListen = false;
+    }
+    if (type) {
+      onError?.({ type, code: event.error, message: event.message || `Speech recognition error: ${event.error}` });
+    }
+  };
+
+  recognition.onend = () => {
+    onInterim?.('');
+    if (wantsToListen && continuous) {
+      try {
+        recognition.start();
+        return;
+      } catch {
+        wantsToListen = false;
+      }
+    }
+    wantsToListen = false;
+    setListening(false);
+  };
+
+  const start = () => {
+    if (wantsToListen) return;
+    recognition.start();
+    // Only once start() went through, so a failed start can be tried again
+    wantsToListen = true;
+  };
+
+  // Stop listening but deliver whatever was already heard
+  const stop = () => {
+    wantsToListen = false;
+    recognition.stop();
+  };
+
+  // Stop immediately and discard pending results
+  const abort = () => {
+    wantsToListen = false;
+    recognition.onresult = null;
+    recognition.abort();
+  };
+
+  return {
+    start,
+    stop,
+    abort,
+    isListening: () => isListening
+  };
+}
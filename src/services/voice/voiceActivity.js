@@ -0,0 +1,144 @@
+// Voice activity detection and input level metering on the shared microphone stream
+//
+// An AnalyserNode is sampled every SAMPLE_INTERVAL ms. The RMS level is mapped from
+// -60..0 dBFS onto 0..1; speech is anything clearly above a slowly adapting noise floor,
+// held for SPEECH_START_MS to start and released after SPEECH_END_MS of quiet.
+
+import errorLogger from '../../utils/errorLogger.js';
+import ExternalStore from '../externalStore.js';
+import { createMicrophoneConsumer } from './microphoneConsumer.js';
+
+const SAMPLE_INTERVAL = 50;
+const SPEECH_START_MS = 150;
+const SPEECH_END_MS = 700;
+const MIN_SPEECH_LEVEL = 0.35;
+const NOISE_MARGIN = 0.15;
+const NOISE_ADAPT_RATE = 0.05;
+// Only republish the level when it moves enough to be visible
+const LEVEL_STEP = 0.02;
+
+const toLevel = (rms) => {
+  if (rms <= 0) return 0;
+  const decibels = 20 * Math.log10(rms);
+  return Math.min(1, Math.max(0, (decibels + 60) / 60));
+};
+
+export function createVoiceActivityDetector(stream, { onLevel, onSpeechChange } = {}) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  analyser.smoothingTimeConstant = 0.3;
+  source.connect(analyser);
+
+  // Started from a click, but some browsers still create the context suspended
+  context.resume?.().catch(() => {});
+
+  const samples = new Float32Array(analyser.fftSize);
+  let noiseFloor = 0.2;
+  let isSpeech = false;
+  let aboveSince = null;
+  let belowSince = null;
+
+  const sample = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const level = toLevel(Math.sqrt(sum / samples.length));
+    onLevel?.(level);
+
+    const now = performance.now();
+    const isLoud = level > Math.max(MIN_SPEECH_LEVEL, noiseFloor + NOISE_MARGIN);
+
+    if (!isSpeech) {
+      noiseFloor += (level - noiseFloor) * NOISE_ADAPT_RATE;
+    }
+
+    if (isLoud) {
+      belowSince = null;
+      aboveSince ??= now;
+      if (!isSpeech && now - aboveSince >= SPEECH_START_MS) {
+        isSpeech = true;
+        onSpeechChange?.(true);
+      }
+    } else {
+      aboveSince = null;
+      belowSince ??= now;
+      if (isSpeech && now - belowSince >= SPEECH_END_MS) {
+        isSpeech = false;
+        onSpeechChange?.(false);
+      }
+    }
+  };
+
+  const intervalId = setInterval(sample, SAMPLE_INTERVAL);
+
+  const stop = () => {
+    clearInterval(intervalId);
+    source.disconnect();
+    context.close().catch(() => {});
+  };
+
+  return { stop, isSpeech: () => isSpeech };
+}
+
+// App-wide monitor: one detector at a time, started while the user has the floor.
+// The snapshot is { isActive, isSpeech, level }; level is null when not metering.
+class VoiceActivity extends ExternalStore {
+  constructor() {
+    super({ isActive: false, isSpeech: false, level: null });
+    this.detector = null;
+
+    this.microphone = createMicrophoneConsumer({
+      // Switching microphones replaces the stream underneath us
+      attach: (stream) => this.attachDetector(stream),
+      detach: () => {
+        this.detector.stop();
+        this.detector = null;
+      },
+      onUnavailable: (error) => {
+        // Metering is cosmetic; the voice input itself reports microphone problems
+        errorLogger.warn('Voice activity detection unavailable', { errorMessage: error.message }, 'Voice Activity');
+        this.update({ isActive: false });
+      },
+      onError: (error) => {
+        errorLogger.warn('Voice activity detection failed to start', { errorMessage: error.message }, 'Voice Activity');
+        this.update({ isActive: false });
+      }
+    });
+  }
+
+  attachDetector(stream) {
+    this.detector?.stop();
+    this.detector = createVoiceActivityDetector(stream, {
+      onLevel: (level) => {
+        if (this.snapshot.level === null || Math.abs(level - this.snapshot.level) >= LEVEL_STEP) {
+          this.update({ level });
+        }
+      },
+      onSpeechChange: (isSpeech) => this.update({ isSpeech })
+    });
+  }
+
+  async start() {
+    if (this.snapshot.isActive) return true;
+
+    this.update({ isActive: true, isSpeech: false, level: null });
+    return this.microphone.acquire();
+  }
+
+  stop() {
+    this.microphone.release();
+    if (this.snapshot.isActive) {
+      this.update({ isActive: false, isSpeech: false, level: null });
+    }
+  }
+}
+
+const voiceActivity = new VoiceActivity();
+
+export { VoiceActivity, voiceActivity };
+export default voiceActivity;
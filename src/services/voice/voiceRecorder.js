@@ -0,0 +1,127 @@
+// Opt-in recording of voice sessions with MediaRecorder
+//
+// While a voice turn is open the shared microphone stream is recorded and saved to the
+// recording store when the turn ends (or when the microphone is switched mid-turn). Spoken
+// replies from engines that synthesize audio files are kept alongside, one per message.
+// UI reads { isRecording, startedAt } through useVoiceRecorder.
+
+import errorLogger from '../../utils/errorLogger.js';
+import ExternalStore from '../externalStore.js';
+import recordingStore from '../recordingStore.js';
+import { createMicrophoneConsumer } from './microphoneConsumer.js';
+
+// Opus is preferred; Safari only records AAC in MP4
+const PREFERRED_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+// Hand data over every second rather than as one huge chunk at the end
+const TIMESLICE_MS = 1000;
+
+export function getRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return '';
+  return PREFERRED_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+class VoiceRecorder extends ExternalStore {
+  constructor() {
+    super({ isRecording: false, startedAt: null });
+    this.recorder = null;
+    this.sessionId = null;
+    this.errorListeners = new Set();
+
+    this.microphone = createMicrophoneConsumer({
+      // A new microphone means a new recording; the old one is saved as it stands
+      attach: (stream) => {
+        this.finishSegment();
+        this.startSegment(stream);
+      },
+      detach: () => this.finishSegment(),
+      onUnavailable: (error) => {
+        // The voice input itself reports microphone problems
+        errorLogger.warn('Voice recording unavailable', { errorMessage: error.message }, 'Voice Recording');
+        this.update({ isRecording: false, startedAt: null });
+      },
+      onError: (error) => {
+        this.reportError(error);
+        this.update({ isRecording: false, startedAt: null });
+      }
+    });
+  }
+
+  onError(listener) {
+    this.errorListeners.add(listener);
+    return () => this.errorListeners.delete(listener);
+  }
+
+  isSupported() {
+    return recordingStore.isSupported();
+  }
+
+  reportError(error) {
+    errorLogger.logVoiceError(error, 'Voice Recording');
+    this.errorListeners.forEach(listener => listener(error));
+  }
+
+  save(recording) {
+    return recordingStore.saveRecording(recording).catch(error => this.reportError(error));
+  }
+
+  startSegment(stream) {
+    const mimeType = getRecordingMimeType();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const sessionId = this.sessionId;
+    const startedAt = new Date();
+    const chunks = [];
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      if (chunks.length === 0) return;
+      const blob = new Blob(chunks, { type: recorder.mimeType || mimeType });
+      this.save({ sessionId, source: 'microphone', mimeType: blob.type, blob, startedAt, endedAt: new Date() });
+    };
+
+    recorder.start(TIMESLICE_MS);
+    this.recorder = recorder;
+  }
+
+  finishSegment() {
+    if (this.recorder && this.recorder.state !== 'inactive') {
+      this.recorder.stop();
+    }
+    this.recorder = null;
+  }
+
+  // Start recording the microphone into `sessionId`
+  async start(sessionId) {
+    if (this.snapshot.isRecording || !sessionId) return this.snapshot.isRecording;
+
+    this.sessionId = sessionId;
+    this.update({ isRecording: true, startedAt: new Date() });
+    return this.microphone.acquire();
+  }
+
+  stop() {
+    this.microphone.release();
+    if (this.snapshot.isRecording) {
+      this.update({ isRecording: false, startedAt: null });
+    }
+  }
+
+  // Keep the synthesized audio of a spoken reply; replays don't store it again
+  async saveSpeech(sessionId, messageId, blob) {
+    if (!sessionId || !blob?.size) return;
+    try {
+      if (await recordingStore.hasMessageRecording(messageId)) return;
+    } catch (error) {
+      errorLogger.logVoiceError(error, 'Voice Recording');
+      return;
+    }
+    const now = new Date();
+    await this.save({ sessionId, source: 'speech', messageId, mimeType: blob.type, blob, startedAt: now, endedAt: now });
+  }
+}
+
+const voiceRecorder = new VoiceRecorder();
+
+export { VoiceRecorder, voiceRecorder };
+export default voiceRecorder;
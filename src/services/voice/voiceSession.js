@@ -0,0 +1,94 @@
+// Single source of truth for the ElevenLabs voice session
+//
+// ElevenLabsWidget attaches the element adapter and reports loading; everything else reads
+// the state through useElevenLabsWidget and drives the call through the methods below.
+
+import { VOICE_STATES, VOICE_EVENTS } from '../../types/index.js';
+import errorLogger from '../../utils/errorLogger.js';
+import ExternalStore from '../externalStore.js';
+import { getNextVoiceState } from './voiceStateMachine.js';
+
+class VoiceSession extends ExternalStore {
+  constructor() {
+    super({ state: VOICE_STATES.IDLE, error: null, isMuted: false });
+    this.adapter = null;
+    this.transcriptListeners = new Set();
+  }
+
+  // Spoken turns: { role: 'user' | 'assistant', text, isFinal }
+  onTranscript(listener) {
+    this.transcriptListeners.add(listener);
+    return () => this.transcriptListeners.delete(listener);
+  }
+
+  emitTranscript(transcript) {
+    this.transcriptListeners.forEach(listener => listener(transcript));
+  }
+
+  dispatch(event, { error, details } = {}) {
+    const state = this.snapshot.state;
+    const nextState = getNextVoiceState(state, event);
+
+    if (!nextState) {
+      errorLogger.debug('Ignored voice event', { state, event }, 'Voice Session');
+      return false;
+    }
+
+    if (event === VOICE_EVENTS.FAIL) {
+      const failure = error || new Error('Voice session error');
+      errorLogger.logElevenLabsError({
+        type: failure.name,
+        message: failure.message,
+        details,
+        widgetStatus: state,
+        connectionState: nextState
+      });
+      this.update({ state: nextState, error: failure });
+      return true;
+    }
+
+    if (nextState === state) return true;
+
+    this.update({
+      state: nextState,
+      error: nextState === VOICE_STATES.ERROR ? this.snapshot.error : null,
+      // A fresh call starts unmuted
+      isMuted: event === VOICE_EVENTS.CALL_START ? false : this.snapshot.isMuted
+    });
+    return true;
+  }
+
+  attach(adapter) {
+    this.adapter?.destroy();
+    this.adapter = adapter;
+    this.dispatch(VOICE_EVENTS.READY);
+  }
+
+  detach(adapter) {
+    if (adapter && adapter !== this.adapter) return;
+    this.adapter?.destroy();
+    this.adapter = null;
+    this.dispatch(VOICE_EVENTS.UNLOAD);
+  }
+
+  startCall() {
+    if (!this.adapter) return false;
+    return this.adapter.startCall();
+  }
+
+  endCall() {
+    if (!this.adapter) return false;
+    return this.adapter.endCall();
+  }
+
+  setMuted(isMuted) {
+    if (!this.adapter || !this.adapter.setMuted(isMuted)) return false;
+    this.update({ isMuted });
+    return true;
+  }
+}
+
+const voiceSession = new VoiceSession();
+
+export { VoiceSession, voiceSession };
+export default voiceSession;
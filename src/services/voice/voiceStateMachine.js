@@ -0,0 +1,47 @@
+// Voice session state machine
+//
+//   idle → connecting → connected → in-call ⇄ listening/speaking → ended
+//                                   (any state) → error
+//
+// Unknown transitions are ignored so stray or duplicated widget events can't corrupt the state.
+
+import { VOICE_STATES, VOICE_EVENTS } from '../../types/index.js';
+
+const { IDLE, CONNECTING, CONNECTED, IN_CALL, LISTENING, SPEAKING, ENDED, ERROR } = VOICE_STATES;
+const E = VOICE_EVENTS;
+
+const IN_CALL_TRANSITIONS = {
+  [E.LISTENING]: LISTENING,
+  [E.SPEAKING]: SPEAKING,
+  [E.CALL_END]: ENDED
+};
+
+export const VOICE_TRANSITIONS = {
+  [IDLE]: { [E.LOAD]: CONNECTING, [E.READY]: CONNECTED },
+  [CONNECTING]: { [E.READY]: CONNECTED },
+  [CONNECTED]: { [E.CALL_START]: IN_CALL },
+  [IN_CALL]: IN_CALL_TRANSITIONS,
+  [LISTENING]: IN_CALL_TRANSITIONS,
+  [SPEAKING]: IN_CALL_TRANSITIONS,
+  [ENDED]: { [E.CALL_START]: IN_CALL, [E.READY]: CONNECTED },
+  [ERROR]: { [E.LOAD]: CONNECTING, [E.READY]: CONNECTED }
+};
+
+// Events accepted from every state
+const GLOBAL_TRANSITIONS = {
+  [E.FAIL]: ERROR,
+  [E.UNLOAD]: IDLE
+};
+
+export function getNextVoiceState(state, event) {
+  return VOICE_TRANSITIONS[state]?.[event] ?? GLOBAL_TRANSITIONS[event] ?? null;
+}
+
+export function isInCallState(state) {
+  return [IN_CALL, LISTENING, SPEAKING].includes(state);
+}
+
+// The widget can take or is taking calls
+export function isConnectedState(state) {
+  return state === CONNECTED || state === ENDED || isInCallState(state);
+}
@@ -0,0 +1,180 @@
+// Hands-free activation: listen for a wake phrase ("Hey JARVIS") and report what followed it
+//
+// Keyword spotting runs on the Web Speech API in continuous mode. Where the browser can
+// recognise on-device (`processLocally`, Chrome 139+), no audio leaves the machine; other
+// browsers fall back to their own recognition service. Matching is fuzzy so that common
+// mishearings ("hey jarvas", "hi jarvis") still count.
+
+import { DEFAULT_WAKE_PHRASE, ERROR_TYPES } from '../../types/index.js';
+import { getRecognitionClass, getRecognitionErrorType } from './speechRecognition.js';
+
+// Greetings people use interchangeably in front of the name
+const GREETINGS = ['hey', 'hi', 'hay', 'a', 'ok', 'okay', 'yo'];
+
+// Pause between recognition sessions so a failing service can't spin the CPU
+const RESTART_DELAY = 300;
+
+export function normalizeSpeech(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// Short words must match exactly; longer ones tolerate a letter or two
+const wordsMatch = (heard, expected) => {
+  if (heard === expected) return true;
+  if (GREETINGS.includes(expected) && GREETINGS.includes(heard)) return true;
+  const allowance = expected.length <= 3 ? 0 : expected.length <= 6 ? 1 : 2;
+  return editDistance(heard, expected) <= allowance;
+};
+
+// Find the wake phrase in `transcript`; returns { command } with the words spoken after it, or null
+export function findWakePhrase(transcript, phrase = DEFAULT_WAKE_PHRASE) {
+  const heard = normalizeSpeech(transcript).split(' ').filter(Boolean);
+  const expected = normalizeSpeech(phrase).split(' ').filter(Boolean);
+  if (expected.length === 0 || heard.length < expected.length) return null;
+
+  for (let start = 0; start <= heard.length - expected.length; start++) {
+    const isMatch = expected.every((word, offset) => wordsMatch(heard[start + offset], word));
+    if (isMatch) {
+      return { command: heard.slice(start + expected.length).join(' ') };
+    }
+  }
+  return null;
+}
+
+// The wake phrase fires once per listener run: the listener stops itself and calls
+// onWake(command) after releasing the microphone, so voice input can take over.
+export function createWakeWordListener({
+  phrase = DEFAULT_WAKE_PHRASE,
+  lang = 'en-US',
+  onWake,
+  onArmedChange,
+  onError
+} = {}) {
+  const Recognition = getRecognitionClass();
+  if (!Recognition) {
+    throw new Error('Speech recognition is not supported in this browser');
+  }
+
+  const recognition = new Recognition();
+  recognition.lang = lang;
+  recognition.continuous = true;
+  recognition.interimResults = true;
+  recognition.maxAlternatives = 3;
+  if ('processLocally' in recognition) {
+    recognition.processLocally = true;
+  }
+
+  let wantsToListen = false;
+  let isArmed = false;
+  let pendingWake = null;
+  let restartTimer = null;
+
+  const setArmed = (value) => {
+    if (isArmed === value) return;
+    isArmed = value;
+    onArmedChange?.(value);
+  };
+
+  recognition.onstart = () => setArmed(true);
+
+  recognition.onresult = (event) => {
+    if (pendingWake !== null) return;
+
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
+      for (let j = 0; j < result.length; j++) {
+        const match = findWakePhrase(result[j].transcript, phrase);
+        // Wait for the final result when the phrase is the last thing heard, so the command isn't cut off
+        if (match && (result.isFinal || !match.command)) {
+          pendingWake = match.command;
+          wantsToListen = false;
+          recognition.abort();
+          return;
+        }
+      }
+    }
+  };
+
+  recognition.onerror = (event) => {
+    const type = getRecognitionErrorType(event.error);
+    // Without permission, a microphone or a reachable recognition service there's nothing to retry
+    const isFatal = [
+      ERROR_TYPES.MICROPHONE_ACCESS_DENIED,
+      ERROR_TYPES.MICROPHONE_NOT_FOUND,
+      ERROR_TYPES.NETWORK_ERROR
+    ].includes(type);
+    if (isFatal) {
+      wantsToListen = false;
+      onError?.({ type, code: event.error, message: event.message || `Wake word listener error: ${event.error}` });
+    }
+  };
+
+  recognition.onend = () => {
+    if (pendingWake !== null) {
+      const command = pendingWake;
+      pendingWake = null;
+      setArmed(false);
+      onWake?.(command);
+      return;
+    }
+
+    if (wantsToListen) {
+      restartTimer = setTimeout(() => {
+        restartTimer = null;
+        if (!wantsToListen) return;
+        try {
+          recognition.start();
+        } catch {
+          wantsToListen = false;
+          setArmed(false);
+        }
+      }, RESTART_DELAY);
+      return;
+    }
+    setArmed(false);
+  };
+
+  const start = () => {
+    if (wantsToListen) return;
+    wantsToListen = true;
+    pendingWake = null;
+    recognition.start();
+  };
+
+  const stop = () => {
+    wantsToListen = false;
+    pendingWake = null;
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    recognition.abort();
+    setArmed(false);
+  };
+
+  return {
+    start,
+    stop,
+    isArmed: () => isArmed
+  };
+}
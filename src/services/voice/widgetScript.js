@@ -0,0 +1,88 @@
+// Loading the ElevenLabs widget embed script
+//
+// The default is a pinned release from unpkg with its integrity hash. Deployments can pin
+// another version or self-host the file (VITE_ELEVENLABS_SCRIPT_* or "widget" in config.json);
+// give an integrity hash for those too, otherwise the script loads without SRI.
+
+import errorLogger from '../../utils/errorLogger.js';
+import { loadScript, SCRIPT_LOAD_DEFAULTS } from '../scriptLoader.js';
+import { WIDGET_TAG } from './elevenLabsAdapter.js';
+
+export const WIDGET_SCRIPT_VERSION = '0.5.4';
+// sha384 of dist/index.js in @elevenlabs/convai-widget-embed@0.5.4
+const WIDGET_SCRIPT_INTEGRITY = 'sha384-L8QhIVpmoWpPM15vV1w01h3MeAacu0St/AFvgbPN89YAFeqSETsCKtpkX6yTeYJA';
+
+export const getWidgetScriptUrl = (version = WIDGET_SCRIPT_VERSION) => (
+  `https://unpkg.com/@elevenlabs/convai-widget-embed@${version}/dist/index.js`
+);
+
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+export function getWidgetScriptConfig(env = import.meta.env) {
+  return {
+    scriptUrl: env.VITE_ELEVENLABS_SCRIPT_URL,
+    version: env.VITE_ELEVENLABS_SCRIPT_VERSION,
+    integrity: env.VITE_ELEVENLABS_SCRIPT_INTEGRITY,
+    timeout: toNumber(env.VITE_ELEVENLABS_SCRIPT_TIMEOUT),
+    retries: toNumber(env.VITE_ELEVENLABS_SCRIPT_RETRIES)
+  };
+}
+
+// The URL to load and the hash to check it against; the built-in hash only applies to the
+// built-in URL
+export function resolveWidgetScript({ scriptUrl, version = WIDGET_SCRIPT_VERSION, integrity } = {}) {
+  const url = scriptUrl || getWidgetScriptUrl(version);
+  const isDefault = url === getWidgetScriptUrl(WIDGET_SCRIPT_VERSION);
+  return {
+    url,
+    integrity: integrity || (isDefault ? WIDGET_SCRIPT_INTEGRITY : undefined)
+  };
+}
+
+const whenDefined = (timeout) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    const error = new Error(`The widget script loaded but <${WIDGET_TAG}> was not defined within ${Math.round(timeout / 1000)}s`);
+    error.name = 'ScriptLoadError';
+    error.reason = 'undefined-element';
+    reject(error);
+  }, timeout);
+
+  customElements.whenDefined(WIDGET_TAG).then(() => {
+    clearTimeout(timer);
+    resolve();
+  });
+});
+
+export function isWidgetScriptLoaded() {
+  return typeof customElements !== 'undefined' && Boolean(customElements.get(WIDGET_TAG));
+}
+
+// Resolves once the widget element can be created. Failed attempts are logged as they
+// happen; the final failure is left to the caller (the voice session logs it).
+export async function loadWidgetScript(widgetConfig = {}, { onStatus } = {}) {
+  if (isWidgetScriptLoaded()) return;
+
+  const { url, integrity } = resolveWidgetScript(widgetConfig);
+  const timeout = widgetConfig.timeout ?? SCRIPT_LOAD_DEFAULTS.timeout;
+
+  await loadScript(url, {
+    integrity,
+    timeout,
+    retries: widgetConfig.retries ?? SCRIPT_LOAD_DEFAULTS.retries,
+    onStatus: (status) => {
+      if (status.status === 'retrying') {
+        errorLogger.logElevenLabsError({
+          type: status.error.reason,
+          message: status.error.message,
+          details: { url, attempt: status.attempt, retryInMs: status.delay, integrity: Boolean(integrity) },
+          widgetStatus: 'retrying'
+        }, 'ElevenLabs Script');
+      } else if (status.status === 'loaded') {
+        errorLogger.info('ElevenLabs widget script loaded', { url, attempt: status.attempt }, 'ElevenLabs Script');
+      }
+      onStatus?.(status);
+    }
+  });
+
+  await whenDefined(timeout);
+}
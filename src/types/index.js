@@ -1,17 +1,18 @@
 // Core application types for JARVIS Chat Bot
 
 // Message interface for chat functionality
-export const createMessage = (content, sender, type = 'text') => ({
+export const createMessage = (content, sender, type = 'text', status = 'sent') => ({
   id: crypto.randomUUID(),
   content,
   sender, // 'user' | 'assistant'
   type, // 'text' | 'voice'
   timestamp: new Date(),
-  status: 'sent' // 'sending' | 'sent' | 'error'
+  status // 'queued' | 'sending' | 'streaming' | 'retrying' | 'sent' | 'cancelled' | 'error'
 });
 
 // Chat state management
 export const createChatState = () => ({
+  sessionId: null,
   messages: [],
   isConnected: false,
   isListening: false,
@@ -19,9 +20,78 @@ export const createChatState = () => ({
   error: null
 });
 
+// Voice session lifecycle shared by the ElevenLabs widget and the chat window
+export const VOICE_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  IN_CALL: 'in-call',
+  LISTENING: 'listening',
+  SPEAKING: 'speaking',
+  ENDED: 'ended',
+  ERROR: 'error'
+};
+
+// Events that move the voice session between states
+export const VOICE_EVENTS = {
+  LOAD: 'LOAD', // widget script requested
+  READY: 'READY', // widget element ready to take calls
+  CALL_START: 'CALL_START',
+  LISTENING: 'LISTENING',
+  SPEAKING: 'SPEAKING',
+  CALL_END: 'CALL_END',
+  FAIL: 'FAIL',
+  UNLOAD: 'UNLOAD' // widget removed from the page
+};
+
+// User preferences; `agentId` / `chatProvider` of null fall back to the deployment config
+export const MOTION_LEVELS = ['off', 'reduced', 'full'];
+export const TIMESTAMP_FORMATS = ['12h', '24h', 'relative'];
+export const THEMES = ['jarvis', 'mark-iii', 'stealth'];
+export const THEME_LABELS = {
+  jarvis: 'JARVIS blue',
+  'mark-iii': 'Mark III red & gold',
+  stealth: 'Stealth silver'
+};
+export const DEFAULT_WAKE_PHRASE = 'Hey JARVIS';
+export const TALK_MODES = ['toggle', 'push'];
+
+export const createDefaultSettings = () => ({
+  agentId: null,
+  chatProvider: null,
+  voiceEnabled: true,
+  autoSpeak: false,
+  ttsEngine: null,
+  ttsVoice: null,
+  ttsRate: 1,
+  ttsPitch: 1,
+  speechLanguage: (typeof navigator !== 'undefined' && navigator.language) || 'en-US',
+  continuousListening: false,
+  talkMode: 'toggle', // 'toggle' | 'push' (hold Space or the mic button)
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  silenceTimeout: 10, // seconds of silence before voice input stops; 0 = never
+  recordVoice: false, // keep local recordings of voice turns with each conversation
+  handsFree: false,
+  wakePhrase: DEFAULT_WAKE_PHRASE,
+  wakeTimeout: 8, // seconds to wait for a command after the wake phrase
+  particleCount: 30,
+  motionLevel: 'full', // 'off' | 'reduced' | 'full'
+  theme: 'jarvis', // one of THEMES
+  backgroundVideo: true,
+  timestampFormat: '12h', // '12h' | '24h' | 'relative'
+  toolsEnabled: true, // let the model call registered tools (clock, calculator, unit converter...)
+  keyboardShortcuts: true,
+  shortcutBindings: {} // shortcut id -> remapped keys (null = unbound)
+});
+
 // Error types for comprehensive error handling
 export const ERROR_TYPES = {
   MICROPHONE_ACCESS_DENIED: 'MICROPHONE_ACCESS_DENIED',
+  MICROPHONE_NOT_FOUND: 'MICROPHONE_NOT_FOUND',
+  MICROPHONE_IN_USE: 'MICROPHONE_IN_USE',
+  MICROPHONE_CONSTRAINTS_ERROR: 'MICROPHONE_CONSTRAINTS_ERROR',
   NETWORK_ERROR: 'NETWORK_ERROR',
   VOICE_PROCESSING_ERROR: 'VOICE_PROCESSING_ERROR',
   WIDGET_INITIALIZATION_ERROR: 'WIDGET_INITIALIZATION_ERROR',
@@ -47,6 +117,13 @@ export const HOLOGRAPHIC_THEME = {
   borderColor: 'rgba(0, 212, 255, 0.3)'
 };
 
+// Accent colors for each theme; glass is the primary color as "r, g, b" for translucent fills
+export const THEME_PALETTES = {
+  jarvis: { primary: '#00D4FF', accent: '#00FFFF', dark: '#0066CC', glow: '#66E5FF', glass: '0, 212, 255' },
+  'mark-iii': { primary: '#FF3B3B', accent: '#FFD700', dark: '#B3001B', glow: '#FF8A65', glass: '255, 59, 59' },
+  stealth: { primary: '#C0C8D0', accent: '#FFFFFF', dark: '#5B6470', glow: '#E5E7EB', glass: '192, 200, 208' }
+};
+
 // Voice widget configuration
 export const createVoiceWidgetConfig = (agentId) => ({
   agentId,
@@ -0,0 +1,63 @@
+// Export a conversation as Markdown or JSON
+
+import { downloadBlob } from './index.js';
+
+export const CONVERSATION_EXPORT_FORMATS = ['markdown', 'json'];
+
+const SENDER_LABELS = {
+  user: 'You',
+  assistant: 'JARVIS'
+};
+
+const toFilename = (title) => (
+  title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'conversation'
+);
+
+export function conversationToMarkdown({ title, messages }) {
+  const lines = [`# ${title}`, ''];
+  messages
+    .filter(message => message.content)
+    .forEach((message) => {
+      const time = new Date(message.timestamp).toLocaleString();
+      const spoken = message.type === 'voice' ? ' (spoken)' : '';
+      lines.push(`**${SENDER_LABELS[message.sender] || message.sender}**${spoken} · ${time}`, '', message.content, '');
+    });
+  return lines.join('\n');
+}
+
+export function conversationToJson({ id, title, createdAt, messages }) {
+  return JSON.stringify({
+    id,
+    title,
+    createdAt,
+    exportedAt: new Date(),
+    messages: messages.map(({ id: messageId, sender, type, content, timestamp, status, toolCalls }) => ({
+      id: messageId,
+      sender,
+      type,
+      content,
+      timestamp,
+      status,
+      ...(toolCalls?.length && {
+        toolCalls: toolCalls.map(({ name, arguments: args, status: callStatus, result, error }) => ({
+          name,
+          arguments: args,
+          status: callStatus,
+          result,
+          error
+        }))
+      })
+    }))
+  }, null, 2);
+}
+
+// conversation is { id, title, createdAt, messages }
+export function exportConversation(conversation, format = 'markdown') {
+  const filename = `jarvis-${toFilename(conversation.title)}-${new Date().toISOString().split('T')[0]}`;
+
+  if (format === 'json') {
+    downloadBlob(new Blob([conversationToJson(conversation)], { type: 'application/json' }), `${filename}.json`);
+  } else {
+    downloadBlob(new Blob([conversationToMarkdown(conversation)], { type: 'text/markdown' }), `${filename}.md`);
+  }
+}
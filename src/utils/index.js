@@ -1,6 +1,8 @@
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
-import { createMessage, createAppError, ERROR_TYPES } from '../types/index.js';
+import { formatDistanceToNow } from 'date-fns';
+import { createMessage, createAppError, ERROR_TYPES, THEME_PALETTES } from '../types/index.js';
+import microphone, { getMicrophoneErrorMessage, getMicrophoneErrorType } from '../services/voice/microphone.js';
 
 // Export ERROR_TYPES for use in other modules
 export { ERROR_TYPES };
@@ -16,7 +18,7 @@ export function generateMessageId() {
 }
 
 // Create message object with proper validation
-export function createChatMessage(content, sender, type = 'text') {
+export function createChatMessage(content, sender, type = 'text', status = 'sent') {
   if (!content || typeof content !== 'string') {
     throw new Error('Message content is required and must be a string');
   }
@@ -29,7 +31,12 @@ export function createChatMessage(content, sender, type = 'text') {
     throw new Error('Type must be either "text" or "voice"');
   }
   
-  return createMessage(content.trim(), sender, type);
+  return createMessage(content.trim(), sender, type, status);
+}
+
+// Create an empty assistant message whose content is filled in as a reply streams
+export function createStreamingMessage(sender = 'assistant', type = 'text') {
+  return createMessage('', sender, type, 'streaming');
 }
 
 // Error handling utilities
@@ -41,16 +48,20 @@ export function createApplicationError(type, message, details = null, recoverabl
   return createAppError(type, message, details, recoverable);
 }
 
-// Format timestamp for display
-export function formatTimestamp(date) {
+// Format timestamp for display ('12h', '24h' or 'relative')
+export function formatTimestamp(date, format = '12h') {
   if (!(date instanceof Date)) {
     return '';
   }
+
+  if (format === 'relative') {
+    return formatDistanceToNow(date, { addSuffix: true });
+  }
   
   return new Intl.DateTimeFormat('en-US', {
     hour: '2-digit',
     minute: '2-digit',
-    hour12: true,
+    hour12: format !== '24h',
   }).format(date);
 }
 
@@ -72,11 +83,14 @@ export function checkBrowserSupport() {
   const hasWebAudio = typeof window !== 'undefined' && 'AudioContext' in window;
   const hasMediaDevices = typeof navigator !== 'undefined' && 'mediaDevices' in navigator;
   const hasCustomElements = typeof window !== 'undefined' && 'customElements' in window;
+  const hasSpeechRecognition = typeof window !== 'undefined' &&
+    ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
   
   return {
     webAudio: hasWebAudio,
     mediaDevices: hasMediaDevices,
     customElements: hasCustomElements,
+    speechRecognition: hasSpeechRecognition,
     isSupported: hasWebAudio && hasMediaDevices && hasCustomElements
   };
 }
@@ -171,41 +185,61 @@ export function announceToScreenReader(message) {
 }
 
 // Voice interaction utilities
+
+// Resolves with the shared microphone stream; hand it back with releaseMicrophone() when done
 export function requestMicrophonePermission() {
-  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+  if (!microphone.isSupported()) {
     return Promise.reject(new Error('Microphone access not supported'));
   }
-  
-  return navigator.mediaDevices.getUserMedia({ audio: true })
-    .then(stream => {
-      // Stop the stream immediately as we just needed permission
-      stream.getTracks().forEach(track => track.stop());
-      return true;
-    })
+
+  return microphone.acquire()
     .catch(error => {
+      const type = getMicrophoneErrorType(error);
       throw createApplicationError(
-        ERROR_TYPES.MICROPHONE_ACCESS_DENIED,
-        'Microphone access denied',
+        type,
+        getMicrophoneErrorMessage(type),
         error.message,
-        false
+        // A busy or missing device can come back; a refused permission needs the user
+        type !== ERROR_TYPES.MICROPHONE_ACCESS_DENIED
       );
     });
 }
 
+export function releaseMicrophone() {
+  microphone.release();
+}
+
 // Theme utilities
-export function applyHolographicTheme() {
+export function applyHolographicTheme(theme = 'jarvis') {
   const root = document.documentElement;
+  const palette = THEME_PALETTES[theme] || THEME_PALETTES.jarvis;
   
   // Set CSS custom properties for holographic theme
-  root.style.setProperty('--jarvis-blue', '#00D4FF');
-  root.style.setProperty('--jarvis-cyan', '#00FFFF');
-  root.style.setProperty('--jarvis-dark-blue', '#0066CC');
-  root.style.setProperty('--jarvis-light-blue', '#66E5FF');
+  root.style.setProperty('--jarvis-blue', palette.primary);
+  root.style.setProperty('--jarvis-cyan', palette.accent);
+  root.style.setProperty('--jarvis-dark-blue', palette.dark);
+  root.style.setProperty('--jarvis-light-blue', palette.glow);
   root.style.setProperty('--jarvis-gold', '#FFD700');
+  root.style.setProperty('--holographic-primary', palette.primary);
+  root.style.setProperty('--holographic-accent', palette.accent);
+  root.style.setProperty('--holographic-glow', palette.glow);
   root.style.setProperty('--holographic-bg', 'rgba(0, 20, 40, 0.9)');
-  root.style.setProperty('--glass-light', 'rgba(0, 212, 255, 0.1)');
-  root.style.setProperty('--glass-medium', 'rgba(0, 212, 255, 0.2)');
-  root.style.setProperty('--glass-dark', 'rgba(0, 212, 255, 0.3)');
+  root.style.setProperty('--glass-light', `rgba(${palette.glass}, 0.1)`);
+  root.style.setProperty('--glass-medium', `rgba(${palette.glass}, 0.2)`);
+  root.style.setProperty('--glass-dark', `rgba(${palette.glass}, 0.3)`);
+  root.dataset.theme = theme;
+}
+
+// Save a blob through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
 }
 
 // Initialize theme on module load
@@ -0,0 +1,66 @@
+// Alternate reply versions for regenerated assistant messages
+//
+// A message with alternates carries `versions: [{ content, status, toolCalls }]` and `versionIndex`.
+// `content`, `status` and `toolCalls` always mirror the selected version, so the rest of the app
+// can keep reading them directly; the selected entry in `versions` is only refreshed
+// when another version is selected or a new one is started.
+
+const snapshotVersions = (message) => {
+  const versions = message.versions ? [...message.versions] : [];
+  const index = message.versions ? message.versionIndex : 0;
+  versions[index] = { content: message.content, status: message.status, toolCalls: message.toolCalls };
+  return versions;
+};
+
+// Start an empty streaming version, keeping the current reply as an alternate
+export function startNewVersion(message) {
+  const versions = [...snapshotVersions(message), { content: '', status: 'streaming' }];
+  return {
+    ...message,
+    versions,
+    versionIndex: versions.length - 1,
+    content: '',
+    status: 'streaming',
+    toolCalls: undefined,
+    timestamp: new Date()
+  };
+}
+
+// Switch the displayed reply to another stored version
+export function selectVersion(message, index) {
+  if (!message.versions || index < 0 || index >= message.versions.length || index === message.versionIndex) {
+    return message;
+  }
+
+  const versions = snapshotVersions(message);
+  return {
+    ...message,
+    versions,
+    versionIndex: index,
+    content: versions[index].content,
+    status: versions[index].status,
+    toolCalls: versions[index].toolCalls
+  };
+}
+
+// Drop the selected version (e.g. a regeneration cancelled before any text arrived)
+export function discardActiveVersion(message) {
+  if (!message.versions || message.versions.length < 2) {
+    return null;
+  }
+
+  const versions = message.versions.filter((_, index) => index !== message.versionIndex);
+  const versionIndex = versions.length - 1;
+  return {
+    ...message,
+    versions,
+    versionIndex,
+    content: versions[versionIndex].content,
+    status: versions[versionIndex].status,
+    toolCalls: versions[versionIndex].toolCalls
+  };
+}
+
+export function getVersionCount(message) {
+  return message.versions?.length || 1;
+}
@@ -0,0 +1,40 @@
+// Map voice messages onto the parts of the session recordings they were said in
+//
+// A spoken reply owns its whole speech recording. A user voice message is cut from the
+// microphone recording that was running when it arrived, starting where the previous
+// message from the same recording ended; the transcript lands after the words are spoken.
+
+// Final transcripts can arrive shortly after the microphone has closed
+const TRANSCRIPT_GRACE_MS = 3000;
+// Keep the tail of the last word
+const CLIP_TAIL_SECONDS = 0.5;
+
+// message id → { recording, start, end } with start/end in seconds (end null = to the end)
+export function getRecordingClips(messages, recordings) {
+  const clips = new Map();
+  if (recordings.length === 0) return clips;
+
+  recordings
+    .filter(recording => recording.source === 'speech' && recording.messageId)
+    .forEach(recording => clips.set(recording.messageId, { recording, start: 0, end: null }));
+
+  const microphoneRecordings = recordings.filter(recording => recording.source === 'microphone');
+  const clipEnds = new Map();
+
+  messages.forEach((message) => {
+    if (message.sender !== 'user' || message.type !== 'voice') return;
+
+    const time = new Date(message.timestamp).getTime();
+    const recording = microphoneRecordings.find(candidate => (
+      time >= candidate.startedAt.getTime() && time <= candidate.endedAt.getTime() + TRANSCRIPT_GRACE_MS
+    ));
+    if (!recording) return;
+
+    const start = clipEnds.get(recording.id) ?? 0;
+    const end = (Math.min(time, recording.endedAt.getTime()) - recording.startedAt.getTime()) / 1000;
+    clipEnds.set(recording.id, end);
+    clips.set(message.id, { recording, start, end: end + CLIP_TAIL_SECONDS });
+  });
+
+  return clips;
+}
@@ -1,6 +1,7 @@
 // Comprehensive testing utilities for JARVIS Chat Bot
 
 import errorLogger from './errorLogger.js';
+import { isWidgetScriptLoaded } from '../services/voice/widgetScript.js';
 
 class TestRunner {
   constructor() {
@@ -277,10 +278,10 @@ export class BrowserTester {
 export class ElevenLabsWidgetTester {
   static testWidgetScriptLoading() {
     return new Promise((resolve) => {
-      const scriptExists = document.querySelector('script[src*="convai-widget-embed"]');
+      const scriptLoaded = isWidgetScriptLoaded();
       resolve({
-        scriptLoaded: !!scriptExists,
-        details: scriptExists ? 'ElevenLabs script found' : 'ElevenLabs script not found'
+        scriptLoaded,
+        details: scriptLoaded ? 'ElevenLabs script loaded' : 'ElevenLabs script not loaded'
       });
     });
   }
@@ -396,10 +397,6 @@ testRunner.addTest('Memory Usage', PerformanceTester.testMemoryUsage, 'performan
 
 export {
   TestRunner,
-  ComponentTester,
-  BrowserTester,
-  ElevenLabsWidgetTester,
-  PerformanceTester,
   testRunner
 };
 